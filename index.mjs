@@ -1,74 +1,280 @@
 import { MsTeamsAdapter } from './src/MsTeamsAdapter.mjs'
-import { ActivityHandler } from 'botbuilder'
-import { TextMessage, User } from 'hubot'
+import { BrainConversationReferenceStore } from './src/ConversationReferenceStore.mjs'
+import { CardActionMessage, DialogMessage, ReactionMessage, EditedMessage, DeletedMessage, RestoredMessage } from './src/TeamsMessages.mjs'
+import { mention } from './src/Mentions.mjs'
+import { MessageExtensions, queryResponse, fetchTaskResponse, submitActionResponse } from './src/MessageExtensions.mjs'
+import { RichMessage, markdown, html, adaptiveCard, heroCard, thumbnailCard, listCard, carousel, suggestedActions, dialogButton } from './src/RichMessage.mjs'
+import { normalizeAttachments } from './src/Attachments.mjs'
+import { roomOf } from './src/Rooms.mjs'
+import { AccessPolicy } from './src/AccessPolicy.mjs'
+import { OutgoingWebhookClient } from './src/OutgoingWebhook.mjs'
+import { LocalBotConnector, localConnectorAuthentication, isLocalServiceUrl } from './src/LocalBotConnector.mjs'
+import { TeamsActivityHandler, ActivityTypes, CloudAdapter } from 'botbuilder'
+import { TextMessage, EnterMessage, LeaveMessage, User } from 'hubot'
 import { BotBuilderPlugin } from '@microsoft/teams.botbuilder'
 import { createRequire } from 'node:module'
 
 const require = createRequire(import.meta.url)
+// Teams shows a typing indicator for about 3 seconds, and we don't want to keep it up forever.
+const TYPING_INTERVAL = 3_000
+const TYPING_TIMEOUT = 60_000
 const { Client } = require('@microsoft/teams.common/http')
 const { ConsoleLogger } = require('@microsoft/teams.common/logging')
 
+// The user's room is the conversation id, the same id messageRoom takes, and roomInfo has the
+// rest of what Teams says about the conversation. The turn context the adapter replies with
+// isn't enumerable, so the user serializes (e.g. into the brain) without it.
+const createUser = (context, account) => {
+    const user = new User(account.id, {
+        name: account.name,
+        aadObjectId: account.aadObjectId,
+        room: context.activity.conversation?.id,
+        roomInfo: roomOf(context.activity)
+    })
+    Object.defineProperty(user, 'message', { value: context, writable: true, configurable: true, enumerable: false })
+    return user
+}
+
 const defaultMessageMapper = context => {
+    const message = new TextMessage(createUser(context, context.activity.from), context.activity.text, context.activity.id)
+    message.attachments = normalizeAttachments(context.activity.attachments)
+    return message
+}
 
-    // Try to simplify the message structure to reduce the memory footprint.
-    // I think the problem is that TextMessage (via Message) gets it's room from user.room.
-    // And user.room is the entire context.activity object which is huuuuuge.
-    // This is an opportunity to feedback into the Hubot Message structure design.
-    // Seems to be the interplay between TextMessage (Message) and the envelope in send().
-    const activity = context.activity
-    const sharedActivity = {
-        text: activity.text,
-        textFormat: activity.textFormat,
-        attachments: activity.attachments,
-        type: activity.type,
-        timestamp: activity.timestamp,
-        localTimestamp: activity.localTimestamp,
-        id: activity.id,
-        channelId: activity.channelId,
-        serviceUrl: activity.serviceUrl,
-        from: activity.from,
-        conversation: activity.conversation,
-        recipient: activity.recipient,
-        entities: activity.entities,
-        channelData: activity.channelData,
-        locale: activity.locale,
-        localTimezone: activity.localTimezone,
-        rawTimestamp: activity.rawTimestamp,
-        rawLocalTimestamp: activity.rawLocalTimestamp,
-        callerId: activity.callerId
+// What a search command's handler gets. text is what the user typed in the search box, and
+// initialRun is true when Teams runs the search before they type anything.
+const searchRequest = (context, query) => {
+    const parameters = Object.fromEntries((query.parameters ?? []).map(({ name, value }) => [name, value]))
+    const { initialRun, ...values } = parameters
+    return {
+        user: createUser(context, context.activity.from),
+        commandId: query.commandId,
+        text: `${Object.values(values)[0] ?? ''}`,
+        parameters: values,
+        initialRun: `${initialRun}` === 'true',
+        skip: query.queryOptions?.skip ?? 0,
+        count: query.queryOptions?.count ?? 25
     }
+}
 
-    const message = new TextMessage(new User(context.activity.from.id, {
-        name: context.activity.from.name,
-        room: new Proxy(sharedActivity, {
-            get(target, prop) {
-                return target[prop]
-            },
-            set(target, prop, value) {
-                target[prop] = value
-                return true
-            }
-        }),
-        message: context  // this is what the code uses to send messages to MS Bot Service Platform
-    }), context.activity.text, context.activity.id)
-    return message
+// What an action command's fetchTask and handler get. data is what the user submitted in the
+// dialog, and message the message the command was run on from its "..." menu.
+const actionRequest = (context, action) => ({
+    user: createUser(context, context.activity.from),
+    commandId: action.commandId,
+    commandContext: action.commandContext ?? null,
+    data: action.data ?? {},
+    message: action.messagePayload ?? null
+})
+
+// membersAdded/membersRemoved include the bot itself when it's installed or uninstalled.
+const createMemberUser = (context, member) => {
+    const user = createUser(context, member)
+    user.isRobot = member.id === context.activity.recipient?.id
+    return user
 }
 
-class HubotActivityHandler extends ActivityHandler {
+class HubotActivityHandler extends TeamsActivityHandler {
     #robot = null
     #messageMapper = null
+    #typing = new WeakMap()
     constructor(robot, messageMapper = defaultMessageMapper) {
         super()
         this.#messageMapper = messageMapper ?? defaultMessageMapper
         this.#robot = robot
+        this.#robot.teams ??= new MessageExtensions()
+        if ((process.env.TEAMS_BOT_TYPING_INDICATOR ?? 'true').toLowerCase() !== 'false') {
+            this.#robot.listenerMiddleware(async context => {
+                await this.#startTyping(context.response.envelope)
+                return true
+            })
+        }
         this.onMessage(async (context, next) => {
-            await this.#robot.receive(this.#messageMapper(context))
+            // Action.Submit on an Adaptive Card posts a message with the card's data and no text.
+            if (!context.activity.text && context.activity.value) {
+                await this.#robot.receive(new CardActionMessage(createUser(context, context.activity.from), context.activity.value, null, context.activity.id))
+            } else {
+                await this.#robot.receive(this.#messageMapper(context))
+            }
+            await next()
+        })
+        this.onReactionsAdded(async (context, next) => {
+            await this.#receiveReactions(context, 'added', context.activity.reactionsAdded)
+            await next()
+        })
+        this.onReactionsRemoved(async (context, next) => {
+            await this.#receiveReactions(context, 'removed', context.activity.reactionsRemoved)
+            await next()
+        })
+        this.onTeamsMessageEditEvent(async (context, next) => {
+            await this.#robot.receive(new EditedMessage(createUser(context, context.activity.from), context.activity.text, context.activity.id))
+            await next()
+        })
+        this.onTeamsMessageSoftDeleteEvent(async (context, next) => {
+            await this.#robot.receive(new DeletedMessage(createUser(context, context.activity.from), context.activity.id))
+            await next()
+        })
+        this.onTeamsMessageUndeleteEvent(async (context, next) => {
+            await this.#robot.receive(new RestoredMessage(createUser(context, context.activity.from), context.activity.text, context.activity.id))
+            await next()
+        })
+        this.onMembersAdded(async (context, next) => {
+            // Before the EnterMessages, so enter listeners find the new members' profiles in the brain.
+            await this.#robot.adapter?.updateRoster?.(context, context.activity.membersAdded)
+            for await (const member of context.activity.membersAdded) {
+                await this.#robot.receive(new EnterMessage(createMemberUser(context, member)))
+            }
+            await next()
+        })
+        this.onMembersRemoved(async (context, next) => {
+            await this.#robot.adapter?.updateRoster?.(context, [], context.activity.membersRemoved)
+            for await (const member of context.activity.membersRemoved) {
+                await this.#robot.receive(new LeaveMessage(createMemberUser(context, member)))
+            }
+            await next()
+        })
+        this.onTeamsChannelCreatedEvent(async (channel, team, context, next) => {
+            this.#robot.adapter?.emit('channelCreated', channel, team, context)
+            await next()
+        })
+        this.onTeamsChannelRenamedEvent(async (channel, team, context, next) => {
+            this.#robot.adapter?.emit('channelRenamed', channel, team, context)
             await next()
         })
+        this.onTeamsChannelDeletedEvent(async (channel, team, context, next) => {
+            this.#robot.adapter?.emit('channelDeleted', channel, team, context)
+            await next()
+        })
+        this.onTeamsTeamRenamedEvent(async (team, context, next) => {
+            this.#robot.adapter?.emit('teamRenamed', team, context)
+            await next()
+        })
+    }
+    // The activity's replyToId is the message that got the reactions.
+    async #receiveReactions(context, type, reactions) {
+        const itemId = context.activity.replyToId
+        for (const reaction of reactions ?? []) {
+            const message = new ReactionMessage(createUser(context, context.activity.from), type, reaction.type, itemId, context.activity.id)
+            message.item = this.#robot.adapter?.sentMessage?.(itemId) ?? null
+            await this.#robot.receive(message)
+        }
+    }
+    async run(context) {
+        try {
+            await super.run(context)
+        } finally {
+            this.#stopTyping(context)
+        }
+    }
+    // Keeps a typing indicator up from the time a listener matches until the first response is sent.
+    async #startTyping(envelope) {
+        const context = envelope.user?.message
+        if (typeof context?.onSendActivities !== 'function' || this.#typing.has(context)) {
+            return
+        }
+        const startedAt = Date.now()
+        const typing = { timer: null, stopped: false }
+        this.#typing.set(context, typing)
+        context.onSendActivities(async (turnContext, activities, next) => {
+            if (activities.some(activity => activity.type !== ActivityTypes.Typing)) {
+                this.#stopTyping(context)
+            }
+            return await next()
+        })
+        const tick = async () => {
+            if (typing.stopped) {
+                return
+            }
+            await this.#robot.adapter.sendTyping(envelope)
+            if (!typing.stopped && Date.now() - startedAt < TYPING_TIMEOUT) {
+                typing.timer = setTimeout(tick, TYPING_INTERVAL)
+            }
+        }
+        await tick()
+    }
+    #stopTyping(context) {
+        const typing = this.#typing.get(context)
+        if (typing) {
+            typing.stopped = true
+            clearTimeout(typing.timer)
+        }
+    }
+    // fileConsent/invoke, the user's answer to a file the adapter offered with sendFile.
+    async handleTeamsFileConsent(context, fileConsentCardResponse) {
+        await this.#robot.adapter.handleFileConsent(context, fileConsentCardResponse)
+    }
+    async handleTeamsTaskModuleFetch(context, taskModuleRequest) {
+        return await this.#receiveDialog(context, 'fetch', taskModuleRequest)
+    }
+    async handleTeamsTaskModuleSubmit(context, taskModuleRequest) {
+        return await this.#receiveDialog(context, 'submit', taskModuleRequest)
+    }
+    // Teams closes the dialog when a submit gets an empty response.
+    async #receiveDialog(context, type, taskModuleRequest) {
+        const { msteams, dialog, ...data } = taskModuleRequest?.data ?? {}
+        const message = new DialogMessage(createUser(context, context.activity.from), type, dialog, data, context.activity.id)
+        await this.#robot.receive(message)
+        return message.invokeResponse ?? undefined
+    }
+    async handleTeamsMessagingExtensionQuery(context, query) {
+        const command = this.#robot.teams.command(query.commandId, 'query')
+        return await this.#runCommand(command, command?.handler, searchRequest(context, query), queryResponse)
+    }
+    async handleTeamsMessagingExtensionFetchTask(context, action) {
+        const command = this.#robot.teams.command(action.commandId, 'action')
+        return await this.#runCommand(command, command?.fetchTask, actionRequest(context, action), result => fetchTaskResponse(command, result))
+    }
+    async handleTeamsMessagingExtensionSubmitAction(context, action) {
+        const command = this.#robot.teams.command(action.commandId, 'action')
+        return await this.#runCommand(command, command?.handler, actionRequest(context, action), submitActionResponse)
+    }
+    // A command nobody registered is answered 501, like any invoke the bot doesn't handle. A command
+    // that fails tells the user so, and the error goes to robot.error handlers.
+    async #runCommand(command, handler, request, toResponse) {
+        if (typeof handler !== 'function') {
+            throw new Error('NotImplemented')
+        }
+        try {
+            return toResponse(await handler(request))
+        } catch (e) {
+            this.#robot.emit('error', e)
+            return toResponse(`Sorry, ${command.title} didn't work.`)
+        }
+    }
+    async onAdaptiveCardInvoke(context, invokeValue) {
+        const { data, verb } = invokeValue.action
+        const message = new CardActionMessage(createUser(context, context.activity.from), data, verb, context.activity.id)
+        await this.#robot.receive(message)
+        return message.invokeResponse ?? {
+            statusCode: 200,
+            type: 'application/vnd.microsoft.activity.message',
+            value: ''
+        }
     }
 }
 export {
-    HubotActivityHandler
+    HubotActivityHandler,
+    BrainConversationReferenceStore,
+    CardActionMessage,
+    DialogMessage,
+    ReactionMessage,
+    EditedMessage,
+    DeletedMessage,
+    RestoredMessage,
+    AccessPolicy,
+    OutgoingWebhookClient,
+    LocalBotConnector,
+    mention,
+    RichMessage,
+    markdown,
+    html,
+    adaptiveCard,
+    heroCard,
+    thumbnailCard,
+    listCard,
+    carousel,
+    suggestedActions,
+    dialogButton
 }
 export default {
     async use(robot) {
@@ -79,7 +285,20 @@ export default {
             TEAMS_BOT_APP_TYPE: process.env.TEAMS_BOT_APP_TYPE ?? null
         }
         const activityHandler = new HubotActivityHandler(robot)
-        const plugin = new BotBuilderPlugin({ handler: activityHandler })
+        // An outgoing webhook needs no Azure Bot registration, only the token Teams shows when it's created.
+        if ((process.env.TEAMS_BOT_TRANSPORT ?? '').toLowerCase() === 'outgoing-webhook') {
+            return new MsTeamsAdapter(robot, activityHandler, new OutgoingWebhookClient(process.env.TEAMS_BOT_OUTGOING_WEBHOOK_SECRET, {
+                path: process.env.TEAMS_BOT_OUTGOING_WEBHOOK_PATH || undefined
+            }))
+        }
+        // A Bot Connector on this machine is a LocalBotConnector, which signs and accepts its own tokens.
+        const cloudAdapter = isLocalServiceUrl(process.env.TEAMS_BOT_SERVICE_URL)
+            ? new CloudAdapter(localConnectorAuthentication(process.env.TEAMS_BOT_SERVICE_URL, {
+                appId: process.env.TEAMS_BOT_APP_ID,
+                appPassword: process.env.TEAMS_BOT_CLIENT_SECRET
+            }))
+            : undefined
+        const plugin = new BotBuilderPlugin({ handler: activityHandler, adapter: cloudAdapter })
         const tenantId = (process.env.TEAMS_BOT_APP_TYPE ?? '').toLowerCase() === 'singletenant'
             ? process.env.TEAMS_BOT_TENANT_ID
             : undefined
@@ -2,10 +2,16 @@ import { describe, it, beforeEach, afterEach } from 'node:test'
 import assert from 'node:assert/strict'
 import { Robot, TextMessage, User } from 'hubot'
 import { EventEmitter } from 'node:events'
+import { createServer } from 'node:http'
+import { createHmac } from 'node:crypto'
+import { readFileSync } from 'node:fs'
 import { MsTeamsAdapter } from './src/MsTeamsAdapter.mjs'
-import init, { HubotActivityHandler } from './index.mjs'
+import { DEFAULT_REDACT_FIELDS, redactBody, truncate } from './src/RequestLog.mjs'
+import { validateManifest } from './src/Manifest.mjs'
+import init, { HubotActivityHandler, CardActionMessage, DialogMessage, ReactionMessage, EditedMessage, DeletedMessage, AccessPolicy, OutgoingWebhookClient, LocalBotConnector, adaptiveCard, heroCard, carousel, suggestedActions, dialogButton } from './index.mjs'
 import {
-    TurnContext
+    TurnContext,
+    INVOKE_RESPONSE_KEY
 } from 'botbuilder'
 
 class TeamsCloudAdapter extends EventEmitter {
@@ -13,7 +19,13 @@ class TeamsCloudAdapter extends EventEmitter {
         super()
     }
     async process(req, res, callback) {
-        await callback(new TurnContext(this, req.body))
+        const context = new TurnContext(this, req.body)
+        await callback(context)
+        // Like CloudAdapter, answer invokes with the response the handler produced.
+        const invokeResponse = context.turnState.get(INVOKE_RESPONSE_KEY)?.value
+        if (invokeResponse) {
+            res.status(invokeResponse.status).send(invokeResponse.body)
+        }
     }
     async createConversationAsync(botAppId, channelId, serviceUrl, audience, conversationParameters, logic) {
         const conversationReference = {
@@ -25,8 +37,22 @@ class TeamsCloudAdapter extends EventEmitter {
             ...conversationReference
         }))
     }
-    async sendActivities(context) {
-        this.emit('sendActivity', context)
+    async sendActivities(context, activities = []) {
+        // Like CloudAdapter, keep invoke responses on the turn instead of sending them.
+        const invokeResponse = activities.find(activity => activity.type === 'invokeResponse')
+        if (invokeResponse) {
+            context.turnState.set(INVOKE_RESPONSE_KEY, invokeResponse)
+            return [{}]
+        }
+        this.emit('sendActivity', context, activities)
+        return activities.map((activity, i) => ({ id: `${activity.type}-${i}` }))
+    }
+    async updateActivity(context, activity) {
+        this.emit('updateActivity', activity)
+        return { id: activity.id }
+    }
+    async deleteActivity(context, reference) {
+        this.emit('deleteActivity', reference)
     }
 }
 describe('Initialize Adapter', () => {
@@ -461,4 +487,2387 @@ describe('MS Teams Adapter', () => {
         assert.equal(storedRef.conversation.id, '19:test-conversation-id')
         assert.equal(storedRef.serviceUrl, 'https://test.service.url')
     })
+    it('Should persist conversation references to the brain', async () => {
+        const response = await fetch(`http://127.0.0.1:${robot.server.address().port}/api/messages`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                text: 'test message',
+                channelId: 'msteams',
+                from: {
+                    id: 'test-user',
+                    name: 'test-user-name'
+                },
+                conversation: {
+                    isGroup: true,
+                    conversationType: 'channel',
+                    id: '19:persisted-conversation-id',
+                    tenantId: 'test-tenant-id'
+                },
+                serviceUrl: 'https://test.service.url',
+                id: 'test-message-id',
+                type: 'message'
+            })
+        })
+
+        assert.equal(response.status, 200)
+        const stored = robot.brain.get('msteams.conversationReferences')['19:persisted-conversation-id']
+        assert.equal(stored.reference.serviceUrl, 'https://test.service.url')
+        assert.ok(stored.lastSeen <= Date.now())
+    })
+
+    it('Should remove a conversation reference when the bot is no longer in the conversation', async () => {
+        client.continueConversation = async (conversationReference, callback) => {
+            await callback({
+                async sendActivity(activity) {
+                    const error = new Error('Conversation not found.')
+                    error.statusCode = 404
+                    throw error
+                }
+            })
+        }
+        await robot.adapter.storeConversationReference('removed-room', {
+            conversation: { id: 'removed-conversation' },
+            serviceUrl: 'https://test.com'
+        })
+
+        await robot.messageRoom({
+            channelData: {
+                channel: { id: 'removed-room' }
+            }
+        }, 'anyone there?')
+
+        assert.equal(robot.adapter.conversationReferences['removed-room'], undefined)
+        assert.equal(robot.brain.get('msteams.conversationReferences')['removed-room'], undefined)
+    })
+
+    it('Should split long messages into ordered chunks', async () => {
+        const sent = []
+        client.continueConversation = async (conversationReference, callback) => {
+            await callback({
+                async sendActivity(activity) {
+                    sent.push(activity.text)
+                    return { id: `activity-${sent.length}` }
+                }
+            })
+        }
+        robot.adapter.conversationReferences['test-room'] = {
+            conversation: { id: 'test-conversation' },
+            serviceUrl: 'https://test.com'
+        }
+        const lines = Array.from({ length: 300 }, (_, i) => `line ${i}`)
+        const responses = await robot.messageRoom({
+            channelData: {
+                channel: { id: 'test-room' }
+            }
+        }, lines.join('\n'), 'short one')
+
+        assert.ok(sent.length > 2)
+        assert.ok(sent.every(text => text.length <= 2_000))
+        assert.equal(sent.slice(0, -1).join('\n'), lines.join('\n'))
+        assert.equal(sent.at(-1), 'short one')
+        assert.deepEqual(responses.map(response => response.id), sent.map((_, i) => `activity-${i + 1}`))
+    })
+
+    it('Should not send blank chunks when blank lines fall on a split', async () => {
+        const sent = []
+        client.continueConversation = async (conversationReference, callback) => {
+            await callback({
+                async sendActivity(activity) {
+                    sent.push(activity.text)
+                    return 'ok'
+                }
+            })
+        }
+        robot.adapter.conversationReferences['test-room'] = {
+            conversation: { id: 'test-conversation' },
+            serviceUrl: 'https://test.com'
+        }
+        const line = 'a'.repeat(2_000)
+        await robot.messageRoom({
+            channelData: {
+                channel: { id: 'test-room' }
+            }
+        }, `${line}\n\n${line}\n\n\n\n${line}`)
+
+        assert.deepEqual(sent, [line, line, line])
+    })
+
+    it('Should not split a long line inside a mention', async () => {
+        const sent = []
+        client.continueConversation = async (conversationReference, callback) => {
+            await callback({
+                async sendActivity(activity) {
+                    sent.push(activity)
+                    return 'ok'
+                }
+            })
+        }
+        robot.adapter.conversationReferences['test-room'] = {
+            conversation: { id: 'test-conversation' },
+            serviceUrl: 'https://test.com'
+        }
+        const jane = robot.adapter.mention(new User('29:jane', { name: 'Jane Doe' }))
+        await robot.messageRoom('test-room', `${'a'.repeat(1_990)} ${jane} is on call`)
+
+        assert.equal(sent.length, 2)
+        assert.equal(sent[1].text, '<at>Jane Doe</at> is on call')
+        assert.deepEqual(sent[1].entities, [
+            { type: 'mention', text: '<at>Jane Doe</at>', mentioned: { id: '29:jane', name: 'Jane Doe' } }
+        ])
+    })
+
+    it('Should keep code fences balanced when splitting', async () => {
+        const sent = []
+        client.continueConversation = async (conversationReference, callback) => {
+            await callback({
+                async sendActivity(activity) {
+                    sent.push(activity.text)
+                    return 'ok'
+                }
+            })
+        }
+        robot.adapter.conversationReferences['test-room'] = {
+            conversation: { id: 'test-conversation' },
+            serviceUrl: 'https://test.com'
+        }
+        const log = Array.from({ length: 200 }, (_, i) => `2024-01-01T00:00:${i} INFO deploy step ${i}`)
+        await robot.messageRoom({
+            channelData: {
+                channel: { id: 'test-room' }
+            }
+        }, ['Deploy log:', '```log', ...log, '```'].join('\n'))
+
+        assert.ok(sent.length > 1)
+        for (const text of sent) {
+            assert.ok(text.length <= 2_000)
+            assert.equal(text.match(/^```/gm).length % 2, 0)
+        }
+        assert.ok(sent[1].startsWith('```log\n'))
+    })
+
+    it('Should not send an oversized adaptive card', async () => {
+        let sendActivityCalled = false
+        let error = null
+        robot.error(e => {
+            error = e
+        })
+        client.continueConversation = async (conversationReference, callback) => {
+            await callback({
+                async sendActivity(activity) {
+                    sendActivityCalled = true
+                    return 'ok'
+                }
+            })
+        }
+        robot.adapter.conversationReferences['test-room'] = {
+            conversation: { id: 'test-conversation' },
+            serviceUrl: 'https://test.com'
+        }
+        await robot.messageRoom({
+            channelData: {
+                channel: { id: 'test-room' }
+            }
+        }, JSON.stringify({
+            type: 'AdaptiveCard',
+            version: '1.0',
+            body: Array.from({ length: 2_000 }, (_, i) => ({ type: 'TextBlock', text: `Row ${i}` }))
+        }))
+
+        assert.equal(sendActivityCalled, false)
+        assert.match(error.message, /Adaptive card is \d+ bytes/)
+    })
+
+    it('Should map members added to EnterMessage', async () => {
+        const entered = []
+        robot.enter(async res => {
+            entered.push(res.message.user)
+        })
+        const response = await fetch(`http://127.0.0.1:${robot.server.address().port}/api/messages`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                type: 'conversationUpdate',
+                channelId: 'msteams',
+                id: 'members-added',
+                from: { id: 'test-user', name: 'test-user-name' },
+                recipient: { id: '888adsjjdskueu', name: 'test-bot' },
+                membersAdded: [
+                    { id: 'new-user', name: 'New User' },
+                    { id: '888adsjjdskueu', name: 'test-bot' }
+                ],
+                conversation: {
+                    isGroup: true,
+                    conversationType: 'channel',
+                    id: '19:team-general',
+                    tenantId: 'test-tenant-id'
+                },
+                channelData: {
+                    eventType: 'teamMemberAdded',
+                    team: { id: '19:team-general' },
+                    tenant: { id: 'test-tenant-id' }
+                }
+            })
+        })
+
+        assert.equal(response.status, 200)
+        assert.deepEqual(entered.map(user => [user.id, user.name, user.isRobot]), [
+            ['new-user', 'New User', false],
+            ['888adsjjdskueu', 'test-bot', true]
+        ])
+        assert.equal(entered[0].room, '19:team-general')
+        assert.equal(entered[0].roomInfo.teamId, '19:team-general')
+    })
+
+    it('Should map members removed to LeaveMessage', async () => {
+        const left = []
+        robot.leave(async res => {
+            left.push(res.message.user.id)
+        })
+        const response = await fetch(`http://127.0.0.1:${robot.server.address().port}/api/messages`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                type: 'conversationUpdate',
+                channelId: 'msteams',
+                id: 'members-removed',
+                from: { id: 'test-user', name: 'test-user-name' },
+                recipient: { id: '888adsjjdskueu', name: 'test-bot' },
+                membersRemoved: [{ id: 'old-user', name: 'Old User' }],
+                conversation: {
+                    isGroup: true,
+                    conversationType: 'groupChat',
+                    id: '19:group-chat',
+                    tenantId: 'test-tenant-id'
+                }
+            })
+        })
+
+        assert.equal(response.status, 200)
+        assert.deepEqual(left, ['old-user'])
+    })
+
+    it('Should emit channel and team events from the adapter', async () => {
+        const events = []
+        robot.adapter.on('channelRenamed', (channel, team) => events.push(['channelRenamed', channel.name, team.id]))
+        robot.adapter.on('teamRenamed', team => events.push(['teamRenamed', team.name]))
+        const post = channelData => fetch(`http://127.0.0.1:${robot.server.address().port}/api/messages`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                type: 'conversationUpdate',
+                channelId: 'msteams',
+                id: `event-${channelData.eventType}`,
+                from: { id: 'test-user', name: 'test-user-name' },
+                recipient: { id: '888adsjjdskueu', name: 'test-bot' },
+                conversation: {
+                    isGroup: true,
+                    conversationType: 'channel',
+                    id: '19:team-general',
+                    tenantId: 'test-tenant-id'
+                },
+                channelData
+            })
+        })
+
+        await post({
+            eventType: 'channelRenamed',
+            channel: { id: '19:deploys', name: 'deploys-prod' },
+            team: { id: '19:team-general', name: 'Platform' }
+        })
+        await post({
+            eventType: 'teamRenamed',
+            team: { id: '19:team-general', name: 'Platform Engineering' }
+        })
+
+        assert.deepEqual(events, [
+            ['channelRenamed', 'deploys-prod', '19:team-general'],
+            ['teamRenamed', 'Platform Engineering']
+        ])
+    })
+
+    it('Should receive Action.Submit data as a CardActionMessage', async () => {
+        let actual = null
+        robot.listen(message => message instanceof CardActionMessage, async res => {
+            actual = res.message
+        })
+        const response = await fetch(`http://127.0.0.1:${robot.server.address().port}/api/messages`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                type: 'message',
+                channelId: 'msteams',
+                id: 'card-submit',
+                from: { id: 'test-user', name: 'test-user-name' },
+                recipient: { id: '888adsjjdskueu', name: 'test-bot' },
+                value: { verb: 'approve', request: 42, comment: 'ship it' },
+                conversation: {
+                    conversationType: 'personal',
+                    id: 'a:112388d8s8djj',
+                    tenantId: 'test-tenant-id'
+                }
+            })
+        })
+
+        assert.equal(response.status, 200)
+        assert.equal(actual.verb, 'approve')
+        assert.deepEqual(actual.data, { verb: 'approve', request: 42, comment: 'ship it' })
+        assert.equal(actual.user.id, 'test-user')
+    })
+
+    it('Should answer an Action.Execute invoke with the card a script responds with', async () => {
+        robot.listen(message => message instanceof CardActionMessage && message.verb === 'approve', async res => {
+            res.message.respondWithCard({
+                type: 'AdaptiveCard',
+                version: '1.4',
+                body: [{ type: 'TextBlock', text: `Request ${res.message.data.request} approved by ${res.message.user.name}` }]
+            })
+        })
+        const response = await fetch(`http://127.0.0.1:${robot.server.address().port}/api/messages`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                type: 'invoke',
+                name: 'adaptiveCard/action',
+                channelId: 'msteams',
+                id: 'card-execute',
+                from: { id: 'test-user', name: 'test-user-name' },
+                recipient: { id: '888adsjjdskueu', name: 'test-bot' },
+                value: {
+                    action: {
+                        type: 'Action.Execute',
+                        verb: 'approve',
+                        data: { request: 42 }
+                    }
+                },
+                conversation: {
+                    isGroup: true,
+                    conversationType: 'channel',
+                    id: '19:integration-conversation',
+                    tenantId: 'test-tenant-id'
+                }
+            })
+        })
+
+        assert.equal(response.status, 200)
+        const body = await response.json()
+        assert.equal(body.type, 'application/vnd.microsoft.card.adaptive')
+        assert.equal(body.value.body[0].text, 'Request 42 approved by test-user-name')
+    })
+
+    it('Should answer a message extension search with the cards a search command returns', async () => {
+        const requests = []
+        robot.teams.searchCommand('tickets', { title: 'Tickets', description: 'Find a ticket' }, async request => {
+            requests.push(request)
+            return [
+                heroCard({ title: `TCK-1 ${request.text}`, text: 'Printer is on fire' }),
+                adaptiveCard({ type: 'AdaptiveCard', version: '1.5', body: [{ type: 'TextBlock', text: `TCK-2 ${request.text}` }] })
+            ]
+        })
+        const invoke = (name, value) => fetch(`http://127.0.0.1:${robot.server.address().port}/api/messages`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                type: 'invoke',
+                name,
+                channelId: 'msteams',
+                id: `${name}-${value.commandId}`,
+                from: { id: 'test-user', name: 'test-user-name' },
+                recipient: { id: '888adsjjdskueu', name: 'test-bot' },
+                value,
+                conversation: {
+                    conversationType: 'personal',
+                    id: 'a:integration-conversation',
+                    tenantId: 'test-tenant-id'
+                }
+            })
+        })
+
+        const response = await invoke('composeExtension/query', {
+            commandId: 'tickets',
+            parameters: [{ name: 'query', value: 'printer' }],
+            queryOptions: { skip: 0, count: 10 }
+        })
+        const unknown = await invoke('composeExtension/query', { commandId: 'runbooks', parameters: [{ name: 'query', value: 'db' }] })
+
+        assert.equal(response.status, 200)
+        const { composeExtension } = await response.json()
+        assert.equal(composeExtension.type, 'result')
+        assert.equal(composeExtension.attachmentLayout, 'list')
+        assert.equal(composeExtension.attachments[0].content.title, 'TCK-1 printer')
+        assert.equal(composeExtension.attachments[0].preview.contentType, 'application/vnd.microsoft.card.hero')
+        assert.equal(composeExtension.attachments[1].contentType, 'application/vnd.microsoft.card.adaptive')
+        assert.deepEqual(composeExtension.attachments[1].preview, { contentType: 'application/vnd.microsoft.card.thumbnail', content: { title: 'TCK-2 printer' } })
+        assert.equal(requests[0].user.name, 'test-user-name')
+        assert.equal(requests[0].count, 10)
+        assert.equal(unknown.status, 501)
+    })
+
+    it('Should show an action command\'s dialog and insert the card it returns', async () => {
+        robot.teams.actionCommand('createTicket', {
+            title: 'Create ticket',
+            context: ['compose', 'message'],
+            fetchTask: async request => adaptiveCard({
+                type: 'AdaptiveCard',
+                version: '1.5',
+                body: [{ type: 'Input.Text', id: 'title', value: request.message?.body?.content ?? '' }],
+                actions: [{ type: 'Action.Submit', title: 'Create' }]
+            })
+        }, async request => heroCard({ title: `TCK-3 ${request.data.title}`, text: `Opened by ${request.user.name}` }))
+        const invoke = (name, value) => fetch(`http://127.0.0.1:${robot.server.address().port}/api/messages`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                type: 'invoke',
+                name,
+                channelId: 'msteams',
+                id: name,
+                from: { id: 'test-user', name: 'test-user-name' },
+                recipient: { id: '888adsjjdskueu', name: 'test-bot' },
+                value,
+                conversation: {
+                    conversationType: 'personal',
+                    id: 'a:integration-conversation',
+                    tenantId: 'test-tenant-id'
+                }
+            })
+        })
+
+        const fetched = await invoke('composeExtension/fetchTask', {
+            commandId: 'createTicket',
+            commandContext: 'message',
+            messagePayload: { id: 'printer-message', body: { content: 'Printer is on fire' } }
+        })
+        const submitted = await invoke('composeExtension/submitAction', {
+            commandId: 'createTicket',
+            commandContext: 'message',
+            data: { title: 'Printer is on fire' }
+        })
+
+        const { task } = await fetched.json()
+        assert.equal(task.type, 'continue')
+        assert.equal(task.value.title, 'Create ticket')
+        assert.equal(task.value.card.content.body[0].value, 'Printer is on fire')
+        const { composeExtension } = await submitted.json()
+        assert.equal(composeExtension.type, 'result')
+        assert.equal(composeExtension.attachments[0].content.title, 'TCK-3 Printer is on fire')
+        assert.equal(composeExtension.attachments[0].content.text, 'Opened by test-user-name')
+    })
+
+    it('Should open a dialog from a card button and chain its steps until it closes', async () => {
+        const received = []
+        robot.listen(message => message instanceof DialogMessage, async res => {
+            const { type, dialog, data } = res.message
+            received.push({ type, dialog, data })
+            if (type === 'fetch') {
+                res.message.respondWithCard(adaptiveCard({
+                    type: 'AdaptiveCard',
+                    version: '1.5',
+                    body: [{ type: 'Input.Text', id: 'title', label: `Incident in ${data.service}` }],
+                    actions: [{ type: 'Action.Submit', title: 'Next' }]
+                }), { title: 'New incident', dialog: 'incident-severity' })
+            } else if (dialog === 'incident-severity') {
+                res.message.respondWithCard({
+                    type: 'AdaptiveCard',
+                    version: '1.5',
+                    body: [{ type: 'Input.ChoiceSet', id: 'severity', choices: [{ title: 'High', value: 'high' }] }],
+                    actions: [{ type: 'Action.Submit', title: 'Create', data: { title: data.title } }]
+                }, { dialog: 'incident-create' })
+            } else {
+                res.message.respondWithMessage(`Created "${data.title}" (${data.severity})`)
+            }
+        })
+        const button = dialogButton('Report incident', 'incident', { service: 'billing' })
+        const invoke = (name, data) => fetch(`http://127.0.0.1:${robot.server.address().port}/api/messages`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                type: 'invoke',
+                name,
+                channelId: 'msteams',
+                id: `${name}-${received.length}`,
+                from: { id: 'test-user', name: 'test-user-name' },
+                recipient: { id: '888adsjjdskueu', name: 'test-bot' },
+                value: { data, context: { theme: 'default' } },
+                conversation: {
+                    conversationType: 'personal',
+                    id: 'a:integration-conversation',
+                    tenantId: 'test-tenant-id'
+                }
+            })
+        })
+
+        const { task: first } = await (await invoke('task/fetch', button.data)).json()
+        const { task: second } = await (await invoke('task/submit', { ...first.value.card.content.actions[0].data, title: 'Checkout down' })).json()
+        const { task: last } = await (await invoke('task/submit', { ...second.value.card.content.actions[0].data, severity: 'high' })).json()
+
+        assert.deepEqual(button.data.msteams, { type: 'task/fetch' })
+        assert.equal(first.type, 'continue')
+        assert.equal(first.value.title, 'New incident')
+        assert.equal(first.value.card.content.body[0].label, 'Incident in billing')
+        assert.equal(second.type, 'continue')
+        assert.deepEqual(last, { type: 'message', value: 'Created "Checkout down" (high)' })
+        assert.deepEqual(received, [
+            { type: 'fetch', dialog: 'incident', data: { service: 'billing' } },
+            { type: 'submit', dialog: 'incident-severity', data: { title: 'Checkout down' } },
+            { type: 'submit', dialog: 'incident-create', data: { title: 'Checkout down', severity: 'high' } }
+        ])
+    })
+
+    it('Should redact credentials and message content from the request log', async () => {
+        const logs = []
+        robot.logger.debug = message => logs.push(message)
+        robot.router.get('/other-script', (req, res) => res.send('ok'))
+        await fetch(`http://127.0.0.1:${robot.server.address().port}/other-script`)
+        const response = await fetch(`http://127.0.0.1:${robot.server.address().port}/api/messages`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': 'Bearer secret.jwt.token'
+            },
+            body: JSON.stringify({
+                text: 'the launch codes are 0000',
+                channelId: 'msteams',
+                from: { id: 'test-user', name: 'Jane Doe' },
+                recipient: { id: '888adsjjdskueu', name: 'test-bot' },
+                id: 'logged-message',
+                type: 'message',
+                conversation: {
+                    conversationType: 'personal',
+                    id: 'a:112388d8s8djj',
+                    tenantId: 'test-tenant-id'
+                }
+            })
+        })
+
+        assert.equal(response.status, 200)
+        const requestLog = logs.filter(message => /^(url|headers|body):/.test(message)).join('\n')
+        assert.ok(requestLog.includes('"authorization":"Bearer [redacted]"'))
+        assert.ok(requestLog.includes('"id":"test-user","name":"sha256:'))
+        assert.ok(!requestLog.includes('secret.jwt.token'))
+        assert.ok(!requestLog.includes('launch codes'))
+        assert.ok(!requestLog.includes('Jane Doe'))
+        assert.ok(!requestLog.includes('/other-script'))
+    })
+
+    it('Should drop redacted fields and cap the size of logged values', async () => {
+        const body = { text: 'secret', from: { id: 'test-user', name: 'Jane Doe' }, type: 'message' }
+
+        assert.deepEqual(redactBody(body, ['text', 'from.name', 'missing.field'], 'drop'), { from: { id: 'test-user' }, type: 'message' })
+        assert.deepEqual(redactBody(body, ['text'], 'keep'), body)
+        assert.equal(body.text, 'secret')
+        assert.equal(truncate('abcdefgh', 5), 'abcde... (3 more characters)')
+    })
+
+    it('Should redact names in mentions and member lists by default', () => {
+        const mention = {
+            type: 'message',
+            text: '<at>test-bot</at> page <at>Jane Doe</at>',
+            from: { id: 'test-user', name: 'test-user-name' },
+            entities: [
+                { type: 'mention', text: '<at>Jane Doe</at>', mentioned: { id: '29:jane', name: 'Jane Doe' } },
+                { type: 'clientInfo', locale: 'en-US' }
+            ]
+        }
+        const conversationUpdate = {
+            type: 'conversationUpdate',
+            membersAdded: [{ id: '29:jane', name: 'Jane Doe' }],
+            membersRemoved: [{ id: '29:john', name: 'John Roe' }]
+        }
+        const submit = { type: 'invoke', name: 'task/submit', value: { data: { title: 'Printer is on fire' } } }
+
+        const logged = JSON.stringify([mention, conversationUpdate, submit].map(body => redactBody(body, DEFAULT_REDACT_FIELDS)))
+        const dropped = redactBody(conversationUpdate, ['membersAdded.*.name', 'membersRemoved.*'], 'drop')
+
+        assert.ok(!logged.includes('Jane Doe'), logged)
+        assert.ok(!logged.includes('John Roe'), logged)
+        assert.ok(!logged.includes('Printer is on fire'), logged)
+        assert.ok(logged.includes('"id":"29:jane"'))
+        assert.ok(logged.includes('"locale":"en-US"'))
+        assert.deepEqual(dropped, { type: 'conversationUpdate', membersAdded: [{ id: '29:jane' }], membersRemoved: [] })
+    })
+
+    it('Should update and delete a sent message during the turn', async () => {
+        const updated = []
+        const deleted = []
+        client.on('updateActivity', activity => updated.push(activity))
+        client.on('deleteActivity', reference => deleted.push(reference.activityId))
+        let wasCalled = false
+        robot.respond(/build 123$/, async res => {
+            const [sent] = await res.reply('build #123 running…')
+            await res.updateActivity(sent, 'build #123 passed')
+            await res.deleteActivity('activity-to-delete')
+            wasCalled = true
+        })
+        const response = await fetch(`http://127.0.0.1:${robot.server.address().port}/api/messages`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                text: '<at>test-bot</at> build 123',
+                channelId: 'msteams',
+                from: { id: 'test-user', name: 'test-user-name' },
+                id: 'test-id',
+                type: 'message',
+                conversation: {
+                    isGroup: true,
+                    conversationType: 'channel',
+                    id: '19:integration-conversation',
+                    tenantId: 'test-tenant-id'
+                }
+            })
+        })
+
+        assert.equal(response.status, 200)
+        assert.equal(wasCalled, true)
+        assert.equal(updated.length, 1)
+        assert.equal(updated[0].id, 'ok')
+        assert.equal(updated[0].text, 'build #123 passed')
+        assert.equal(updated[0].conversation.id, '19:integration-conversation')
+        assert.deepEqual(deleted, ['activity-to-delete'])
+    })
+
+    it('Should update and delete messages proactively through the conversation reference', async () => {
+        const updated = []
+        const deleted = []
+        client.continueConversation = async (conversationReference, callback) => {
+            await callback({
+                async updateActivity(activity) {
+                    updated.push(activity)
+                    return { id: activity.id }
+                },
+                async deleteActivity(id) {
+                    deleted.push(id)
+                }
+            })
+        }
+        robot.adapter.conversationReferences['test-room'] = {
+            conversation: { id: 'test-conversation' },
+            serviceUrl: 'https://test.com'
+        }
+        const envelope = {
+            room: {
+                channelData: {
+                    channel: { id: 'test-room' }
+                }
+            }
+        }
+        const card = JSON.stringify({
+            type: 'AdaptiveCard',
+            version: '1.4',
+            body: [{ type: 'TextBlock', text: 'build #123 passed' }]
+        })
+
+        const response = await robot.adapter.updateActivity(envelope, { id: 'build-card' }, card)
+        const wasDeleted = await robot.adapter.deleteActivity(envelope, 'build-card')
+
+        assert.deepEqual(response, { id: 'build-card' })
+        assert.equal(updated[0].id, 'build-card')
+        assert.equal(updated[0].attachments[0].content.body[0].text, 'build #123 passed')
+        assert.equal(wasDeleted, true)
+        assert.deepEqual(deleted, ['build-card'])
+    })
+
+    it('Should not update a message in a room without a conversation reference', async () => {
+        const response = await robot.adapter.updateActivity({
+            room: {
+                channelData: {
+                    channel: { id: 'nonexistent-room' }
+                }
+            }
+        }, 'build-card', 'build #123 passed')
+
+        assert.equal(response, null)
+    })
+
+    it('Should send mention entities for mentioned users, tags, channels and teams', async () => {
+        const activities = []
+        robot.adapter.on('sendActivity', activity => {
+            activities.push(activity)
+        })
+        robot.respond(/page oncall$/, async res => {
+            await res.send(`${robot.adapter.mention(res.message.user)} paged ${robot.adapter.mention({ id: 'tag-id', name: 'oncall', type: 'tag' })} **now**`)
+            await res.send(`Heads up ${robot.adapter.mention({ id: '19:general@thread.tacv2', name: 'General', type: 'channel' })} and ${robot.adapter.mention({ id: '19:team@thread.tacv2', name: 'Platform', type: 'team' })}`)
+        })
+        const response = await fetch(`http://127.0.0.1:${robot.server.address().port}/api/messages`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                text: '<at>test-bot</at> page oncall',
+                channelId: 'msteams',
+                from: { id: '29:test-user', name: 'Jane Doe' },
+                id: 'test-id',
+                type: 'message',
+                conversation: {
+                    isGroup: true,
+                    conversationType: 'channel',
+                    id: '19:integration-conversation',
+                    tenantId: 'test-tenant-id'
+                }
+            })
+        })
+
+        assert.equal(response.status, 200)
+        const [sent, conversations] = activities.filter(activity => activity.type === 'message')
+        assert.equal(sent.text, '<at>Jane Doe</at> paged <at>oncall</at> **now**')
+        assert.equal(sent.textFormat, 'markdown')
+        assert.deepEqual(sent.entities, [
+            { type: 'mention', text: '<at>Jane Doe</at>', mentioned: { id: '29:test-user', name: 'Jane Doe' } },
+            { type: 'mention', text: '<at>oncall</at>', mentioned: { id: 'tag-id', name: 'oncall', type: 'tag' } }
+        ])
+        assert.equal(conversations.text, 'Heads up <at>General</at> and <at>Platform</at>')
+        assert.deepEqual(conversations.entities, [
+            { type: 'mention', text: '<at>General</at>', mentioned: { id: '19:general@thread.tacv2', name: 'General', conversationIdentityType: 'channel' } },
+            { type: 'mention', text: '<at>Platform</at>', mentioned: { id: '19:team@thread.tacv2', name: 'Platform', conversationIdentityType: 'team' } }
+        ])
+    })
+
+    it('Should add mention entities to adaptive cards', async () => {
+        let sent = null
+        client.continueConversation = async (conversationReference, callback) => {
+            await callback({
+                async sendActivity(activity) {
+                    sent = activity
+                    return 'ok'
+                }
+            })
+        }
+        robot.adapter.conversationReferences['test-room'] = {
+            conversation: { id: 'test-conversation' },
+            serviceUrl: 'https://test.com'
+        }
+        const jane = new User('29:test-user', { name: 'Jane Doe' })
+        await robot.messageRoom({
+            channelData: {
+                channel: { id: 'test-room' }
+            }
+        }, JSON.stringify({
+            type: 'AdaptiveCard',
+            version: '1.4',
+            body: [{ type: 'TextBlock', text: `Incident claimed by ${robot.adapter.mention(jane)}` }]
+        }))
+
+        const card = sent.attachments[0].content
+        assert.equal(card.body[0].text, 'Incident claimed by <at>Jane Doe</at>')
+        assert.deepEqual(card.msteams.entities, [
+            { type: 'mention', text: '<at>Jane Doe</at>', mentioned: { id: '29:test-user', name: 'Jane Doe' } }
+        ])
+    })
+
+    it('Should send text that parses as JSON as text', async () => {
+        const sent = []
+        client.continueConversation = async (conversationReference, callback) => {
+            await callback({
+                async sendActivity(activity) {
+                    sent.push(activity)
+                    return 'ok'
+                }
+            })
+        }
+        robot.adapter.conversationReferences['test-room'] = {
+            conversation: { id: 'test-conversation' },
+            serviceUrl: 'https://test.com'
+        }
+        await robot.messageRoom({
+            channelData: {
+                channel: { id: 'test-room' }
+            }
+        }, '42', '{"status":"ok"}', 'null')
+
+        assert.deepEqual(sent.map(activity => activity.text), ['42', '{"status":"ok"}', 'null'])
+        assert.ok(sent.every(activity => activity.attachments === undefined))
+    })
+
+    it('Should bind an Adaptive Card template to data', async () => {
+        let sent = null
+        client.continueConversation = async (conversationReference, callback) => {
+            await callback({
+                async sendActivity(activity) {
+                    sent = activity
+                    return 'ok'
+                }
+            })
+        }
+        robot.adapter.conversationReferences['test-room'] = {
+            conversation: { id: 'test-conversation' },
+            serviceUrl: 'https://test.com'
+        }
+        const template = {
+            type: 'AdaptiveCard',
+            version: '1.5',
+            body: [
+                { type: 'TextBlock', text: 'Build ${build.number} of ${repo}' },
+                { type: 'TextBlock', $data: '${build.steps}', $when: '${failed}', text: '${name} failed on ${$root.repo}' },
+                { type: 'TextBlock', $when: '${build.flaky}', text: 'Known to be flaky' }
+            ]
+        }
+        await robot.messageRoom({
+            channelData: {
+                channel: { id: 'test-room' }
+            }
+        }, adaptiveCard(template, {
+            repo: 'hubot',
+            build: { number: 512, flaky: false, steps: [{ name: 'lint', failed: false }, { name: 'test', failed: true }] }
+        }))
+
+        assert.equal(sent.attachments[0].contentType, 'application/vnd.microsoft.card.adaptive')
+        assert.deepEqual(sent.attachments[0].content.body, [
+            { type: 'TextBlock', text: 'Build 512 of hubot' },
+            { type: 'TextBlock', text: 'test failed on hubot' }
+        ])
+    })
+
+    it('Should send a carousel of hero cards with suggested actions', async () => {
+        let sent = null
+        client.continueConversation = async (conversationReference, callback) => {
+            await callback({
+                async sendActivity(activity) {
+                    sent = activity
+                    return 'ok'
+                }
+            })
+        }
+        robot.adapter.conversationReferences['test-room'] = {
+            conversation: { id: 'test-conversation' },
+            serviceUrl: 'https://test.com'
+        }
+        const releases = carousel([
+            heroCard({ title: 'v2.1.0', text: 'Released today', buttons: ['deploy v2.1.0'] }),
+            heroCard({ title: 'v2.0.3', images: ['https://example.com/v2.png'] })
+        ], 'Pick a release')
+        await robot.messageRoom({
+            channelData: {
+                channel: { id: 'test-room' }
+            }
+        }, suggestedActions(releases, ['cancel']))
+
+        assert.equal(sent.type, 'message')
+        assert.equal(sent.text, 'Pick a release')
+        assert.equal(sent.attachmentLayout, 'carousel')
+        assert.deepEqual(sent.attachments.map(attachment => attachment.contentType), ['application/vnd.microsoft.card.hero', 'application/vnd.microsoft.card.hero'])
+        assert.equal(sent.attachments[0].content.buttons[0].type, 'imBack')
+        assert.equal(sent.attachments[0].content.buttons[0].value, 'deploy v2.1.0')
+        assert.deepEqual(sent.attachments[1].content.images, [{ url: 'https://example.com/v2.png' }])
+        assert.deepEqual(sent.suggestedActions.actions.map(action => action.value), ['cancel'])
+    })
+
+    it('Should post into an existing thread by id', async () => {
+        let reference = null
+        let sent = null
+        client.continueConversation = async (conversationReference, callback) => {
+            reference = conversationReference
+            await callback({
+                async sendActivity(activity) {
+                    sent = activity
+                    return { id: 'progress-1' }
+                }
+            })
+        }
+        robot.adapter.conversationReferences['19:deploys@thread.tacv2;messageid=111'] = {
+            activityId: '111',
+            conversation: { id: '19:deploys@thread.tacv2;messageid=111', conversationType: 'channel' },
+            serviceUrl: 'https://test.com'
+        }
+
+        const responses = await robot.adapter.sendToThread('19:deploys@thread.tacv2', '222', 'step 2 of 5 done')
+
+        assert.equal(reference.conversation.id, '19:deploys@thread.tacv2;messageid=222')
+        assert.equal(reference.activityId, undefined)
+        assert.equal(reference.serviceUrl, 'https://test.com')
+        assert.equal(sent.text, 'step 2 of 5 done')
+        assert.deepEqual(responses, [{ id: 'progress-1' }])
+    })
+
+    it('Should post a new message to a channel the bot has only seen threads in', async () => {
+        let reference = null
+        client.continueConversation = async (conversationReference, callback) => {
+            reference = conversationReference
+            await callback({
+                async sendActivity(activity) {
+                    return 'ok'
+                }
+            })
+        }
+        robot.adapter.conversationReferences['19:deploys@thread.tacv2;messageid=111'] = {
+            activityId: '111',
+            conversation: { id: '19:deploys@thread.tacv2;messageid=111', conversationType: 'channel' },
+            serviceUrl: 'https://test.com'
+        }
+
+        await robot.messageRoom({
+            channelData: {
+                channel: { id: '19:deploys@thread.tacv2' }
+            }
+        }, 'deploys are frozen')
+
+        assert.equal(reference.conversation.id, '19:deploys@thread.tacv2')
+    })
+
+    it('Should start a new thread with a subject', async () => {
+        let parameters = null
+        const sent = []
+        client.createConversationAsync = async (botAppId, channelId, serviceUrl, audience, conversationParameters, logic) => {
+            parameters = conversationParameters
+            sent.push(conversationParameters.activity.text)
+            const context = new TurnContext(client, {
+                conversation: { id: '19:deploys@thread.tacv2;messageid=333' },
+                serviceUrl
+            })
+            context.sendActivity = async activity => {
+                sent.push(activity.text)
+                return { id: 'reply-1' }
+            }
+            await logic(context)
+        }
+
+        const { threadId, responses } = await robot.adapter.startThread('19:deploys@thread.tacv2', 'Deploy #42', 'Deploying api to production', 'build started')
+
+        assert.equal(parameters.topicName, 'Deploy #42')
+        assert.equal(parameters.channelData.channel.id, '19:deploys@thread.tacv2')
+        assert.deepEqual(sent, ['Deploying api to production', 'build started'])
+        assert.equal(threadId, '333')
+        assert.deepEqual(responses, [{ id: '333' }, { id: 'reply-1' }])
+        assert.ok(robot.adapter.conversationReferences['19:deploys@thread.tacv2;messageid=333'])
+    })
+
+    it('Should reply in the thread of a channel post', async () => {
+        let reference = null
+        let threadId = null
+        client.continueConversation = async (conversationReference, callback) => {
+            reference = conversationReference
+            await callback({
+                async sendActivity(activity) {
+                    return 'ok'
+                }
+            })
+        }
+        robot.respond(/deploy api$/, async res => {
+            threadId = robot.adapter.threadId(res.envelope)
+            await res.replyInThread('deploying api')
+        })
+        const response = await fetch(`http://127.0.0.1:${robot.server.address().port}/api/messages`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                text: '<at>test-bot</at> deploy api',
+                channelId: 'msteams',
+                from: { id: 'test-user', name: 'test-user-name' },
+                id: '444',
+                type: 'message',
+                serviceUrl: 'https://test.com',
+                conversation: {
+                    isGroup: true,
+                    conversationType: 'channel',
+                    id: '19:deploys@thread.tacv2',
+                    tenantId: 'test-tenant-id'
+                }
+            })
+        })
+
+        assert.equal(response.status, 200)
+        assert.equal(threadId, '444')
+        assert.equal(reference.conversation.id, '19:deploys@thread.tacv2;messageid=444')
+    })
+
+    it('Should use continueConversationAsync when the client has it', async () => {
+        let botAppId = null
+        client.continueConversationAsync = async (appId, conversationReference, callback) => {
+            botAppId = appId
+            await callback({
+                async sendActivity(activity) {
+                    return 'ok'
+                }
+            })
+        }
+        client.continueConversation = async () => {
+            throw new Error('`CloudAdapterBase.continueConversation` is deprecated')
+        }
+        robot.adapter.conversationReferences['test-room'] = {
+            conversation: { id: 'test-conversation' },
+            serviceUrl: 'https://test.com'
+        }
+
+        const responses = await robot.messageRoom({
+            channelData: {
+                channel: { id: 'test-room' }
+            }
+        }, 'hello')
+
+        assert.equal(botAppId, process.env.TEAMS_BOT_APP_ID)
+        assert.deepEqual(responses, ['ok'])
+    })
+
+    it('Should create a 1:1 conversation to DM a user and reuse it', async () => {
+        let parameters = null
+        const created = []
+        const continued = []
+        client.createConversationAsync = async (botAppId, channelId, serviceUrl, audience, conversationParameters, logic) => {
+            parameters = conversationParameters
+            const context = new TurnContext(client, {
+                conversation: { id: 'a:personal-jane', isGroup: false },
+                serviceUrl
+            })
+            context.sendActivity = async activity => {
+                created.push(activity.text)
+                return { id: `dm-${created.length}` }
+            }
+            await logic(context)
+        }
+        client.continueConversation = async (conversationReference, callback) => {
+            await callback({
+                async sendActivity(activity) {
+                    continued.push([conversationReference.conversation.id, activity.text])
+                    return 'ok'
+                }
+            })
+        }
+        const jane = new User('29:jane', { name: 'Jane Doe', aadObjectId: 'aad-jane' })
+
+        const responses = await robot.send({ user: jane }, 'your pager is going off', 'since 02:14')
+        await robot.send({ user: jane }, 'still going off')
+
+        assert.equal(parameters.isGroup, false)
+        assert.deepEqual(parameters.members, [{ id: '29:jane', aadObjectId: 'aad-jane' }])
+        assert.equal(parameters.tenantId, process.env.TEAMS_BOT_TENANT_ID)
+        assert.equal(parameters.activity, undefined)
+        assert.deepEqual(created, ['your pager is going off', 'since 02:14'])
+        assert.deepEqual(responses, [{ id: 'dm-1' }, { id: 'dm-2' }])
+        assert.deepEqual(continued, [['a:personal-jane', 'still going off']])
+        assert.equal(robot.adapter.conversationReferences['personal:29:jane'].conversation.id, 'a:personal-jane')
+    })
+
+    it('Should drop messages when Teams refuses to create the conversation', async () => {
+        const dropped = []
+        robot.adapter.on('dropped', (activity, error) => dropped.push([activity.text, error.statusCode]))
+        client.createConversationAsync = async () => {
+            throw Object.assign(new Error('Forbidden'), { statusCode: 403 })
+        }
+
+        const dm = await robot.send({ user: new User('29:jane', { name: 'Jane Doe' }) }, 'your pager is going off')
+        const post = await robot.messageRoom('19:unknown@thread.tacv2', 'deploys are frozen')
+
+        assert.deepEqual(dm, [])
+        assert.deepEqual(post, [])
+        assert.deepEqual(dropped, [['your pager is going off', 403], ['deploys are frozen', 403]])
+    })
+
+    it('Should send to the room of an envelope that also has a user', async () => {
+        const sent = []
+        client.continueConversation = async (conversationReference, callback) => {
+            await callback({
+                async sendActivity(activity) {
+                    sent.push([conversationReference.conversation.id, activity.text])
+                    return 'ok'
+                }
+            })
+        }
+        client.createConversationAsync = async () => {
+            throw new Error('should post to the channel, not DM the user')
+        }
+        robot.adapter.conversationReferences['19:general@thread.tacv2'] = {
+            conversation: { id: '19:general@thread.tacv2', conversationType: 'channel' },
+            serviceUrl: 'https://test.com'
+        }
+        const jane = new User('29:jane', { name: 'Jane Doe' })
+
+        await robot.send({ room: '19:general@thread.tacv2', user: jane }, 'deploy finished')
+        await robot.reply({ room: '19:general@thread.tacv2', user: jane }, 'you deployed it')
+
+        assert.deepEqual(sent, [
+            ['19:general@thread.tacv2', 'deploy finished'],
+            ['19:general@thread.tacv2', 'you deployed it']
+        ])
+    })
+
+    it('Should DM a brain user by AAD object id through the chat they already have with the bot', async () => {
+        let reference = null
+        client.continueConversation = async (conversationReference, callback) => {
+            reference = conversationReference
+            await callback({
+                async sendActivity(activity) {
+                    return 'ok'
+                }
+            })
+        }
+        client.createConversationAsync = async () => {
+            throw new Error('should reuse the existing chat')
+        }
+        robot.brain.userForId('29:jane', { name: 'Jane Doe', aadObjectId: 'aad-jane' })
+        robot.adapter.conversationReferences['a:existing-chat'] = {
+            user: { id: '29:jane', name: 'Jane Doe' },
+            conversation: { id: 'a:existing-chat', conversationType: 'personal' },
+            serviceUrl: 'https://test.com'
+        }
+
+        const responses = await robot.adapter.sendToUser('aad-jane', 'reminder: standup')
+
+        assert.equal(reference.conversation.id, 'a:existing-chat')
+        assert.deepEqual(responses, ['ok'])
+    })
+})
+
+describe('Conversation reference persistence', () => {
+    let robot = null
+    afterEach(() => {
+        robot.shutdown()
+    })
+    const createRobot = (options, client = new TeamsCloudAdapter({})) => {
+        process.env.PORT = 0
+        return new Robot({
+            use(robot) {
+                return new MsTeamsAdapter(robot, new HubotActivityHandler(robot), client, options)
+            }
+        }, true, 'test-bot')
+    }
+
+    it('Should reload fresh references and prune stale ones when the adapter starts', async () => {
+        robot = createRobot()
+        robot.brain.set('msteams.conversationReferences', {
+            'fresh-room': {
+                reference: { conversation: { id: 'fresh-room' }, serviceUrl: 'https://test.com' },
+                lastSeen: Date.now()
+            },
+            'stale-room': {
+                reference: { conversation: { id: 'stale-room' }, serviceUrl: 'https://test.com' },
+                lastSeen: Date.now() - 365 * 24 * 60 * 60 * 1_000
+            }
+        })
+        await robot.loadAdapter()
+        await robot.run()
+
+        assert.equal(robot.adapter.conversationReferences['fresh-room'].conversation.id, 'fresh-room')
+        assert.equal(robot.adapter.conversationReferences['stale-room'], undefined)
+    })
+
+    it('Should pick up references once a brain script loads its data', async () => {
+        robot = createRobot()
+        await robot.loadAdapter()
+        await robot.run()
+        robot.brain.mergeData({
+            _private: {
+                'msteams.conversationReferences': {
+                    'late-room': {
+                        reference: { conversation: { id: 'late-room' }, serviceUrl: 'https://test.com' },
+                        lastSeen: Date.now()
+                    }
+                }
+            }
+        })
+
+        assert.equal(robot.adapter.conversationReferences['late-room'].conversation.id, 'late-room')
+    })
+
+    it('Should use a pluggable conversation reference store', async () => {
+        const saved = []
+        const store = {
+            async load() {
+                return {
+                    'stored-room': {
+                        reference: { conversation: { id: 'stored-room' }, serviceUrl: 'https://test.com' },
+                        lastSeen: Date.now()
+                    }
+                }
+            },
+            async save(entries) {
+                saved.push(entries)
+            }
+        }
+        robot = createRobot({ conversationReferenceStore: store })
+        await robot.loadAdapter()
+        await robot.run()
+        await robot.adapter.storeConversationReference('new-room', { conversation: { id: 'new-room' } })
+
+        assert.deepEqual(Object.keys(saved.at(-1)).sort(), ['new-room', 'stored-room'])
+    })
+
+    it('Should only save a reference again when it changed or was last seen over an hour ago', async () => {
+        const saved = []
+        const store = {
+            async load() {
+                return {}
+            },
+            async save(entries) {
+                saved.push(entries)
+            }
+        }
+        robot = createRobot({ conversationReferenceStore: store })
+        await robot.loadAdapter()
+        await robot.run()
+        const reference = { conversation: { id: 'busy-room' }, serviceUrl: 'https://test.com' }
+
+        await robot.adapter.storeConversationReference('busy-room', { ...reference, activityId: '1' })
+        await robot.adapter.storeConversationReference('busy-room', { ...reference, activityId: '2' })
+        await robot.adapter.storeConversationReference('busy-room', { ...reference, serviceUrl: 'https://moved.test.com', activityId: '3' })
+
+        assert.equal(saved.length, 2)
+        assert.equal(saved.at(-1)['busy-room'].reference.serviceUrl, 'https://moved.test.com')
+    })
+
+    it('Should keep a room the bot only posts to from going stale', async () => {
+        const saved = []
+        const lastSeen = Date.now() - 29 * 24 * 60 * 60 * 1_000
+        const store = {
+            async load() {
+                return {
+                    'announcements': {
+                        reference: { conversation: { id: 'announcements' }, serviceUrl: 'https://test.com' },
+                        lastSeen
+                    }
+                }
+            },
+            async save(entries) {
+                saved.push(entries)
+            }
+        }
+        const client = new TeamsCloudAdapter({})
+        client.continueConversation = async (conversationReference, callback) => {
+            await callback({
+                async sendActivity(activity) {
+                    return { id: 'announcement-1' }
+                }
+            })
+        }
+        robot = createRobot({ conversationReferenceStore: store }, client)
+        await robot.loadAdapter()
+        await robot.run()
+
+        await robot.messageRoom('announcements', 'Release train leaves at 3pm')
+
+        assert.ok(saved.at(-1)['announcements'].lastSeen > lastSeen + 28 * 24 * 60 * 60 * 1_000)
+    })
+})
+
+describe('Typing indicator', () => {
+    let robot = null
+    let client = null
+    let originalTypingIndicator = null
+    beforeEach(() => {
+        originalTypingIndicator = process.env.TEAMS_BOT_TYPING_INDICATOR
+    })
+    afterEach(() => {
+        if (originalTypingIndicator === undefined) {
+            delete process.env.TEAMS_BOT_TYPING_INDICATOR
+        } else {
+            process.env.TEAMS_BOT_TYPING_INDICATOR = originalTypingIndicator
+        }
+        robot.shutdown()
+    })
+    const start = async () => {
+        process.env.PORT = 0
+        robot = new Robot({
+            use(robot) {
+                client = new TeamsCloudAdapter({})
+                return new MsTeamsAdapter(robot, new HubotActivityHandler(robot), client)
+            }
+        }, true, 'test-bot')
+        await robot.loadAdapter()
+        await robot.run()
+    }
+    const post = () => fetch(`http://127.0.0.1:${robot.server.address().port}/api/messages`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            text: 'slow report',
+            channelId: 'msteams',
+            from: { id: 'test-user', name: 'test-user-name' },
+            recipient: { id: '888adsjjdskueu', name: 'test-bot' },
+            id: 'typing-message',
+            type: 'message',
+            conversation: {
+                conversationType: 'personal',
+                id: 'a:112388d8s8djj',
+                tenantId: 'test-tenant-id'
+            }
+        })
+    })
+
+    it('Should send a typing indicator when a listener matches', async () => {
+        await start()
+        const sent = []
+        client.on('sendActivity', (context, activities) => sent.push(...activities.map(activity => activity.type)))
+        robot.respond(/slow report$/, async res => {
+            await new Promise(resolve => setTimeout(resolve, 20))
+            await res.reply('here is your report')
+        })
+
+        const response = await post()
+
+        assert.equal(response.status, 200)
+        assert.deepEqual(sent, ['typing', 'message'])
+    })
+
+    it('Should not send typing indicators when no listener matches', async () => {
+        await start()
+        const sent = []
+        client.on('sendActivity', (context, activities) => sent.push(...activities.map(activity => activity.type)))
+
+        await post()
+
+        assert.deepEqual(sent, [])
+    })
+
+    it('Should not send typing indicators when turned off', async () => {
+        process.env.TEAMS_BOT_TYPING_INDICATOR = 'false'
+        await start()
+        const sent = []
+        client.on('sendActivity', (context, activities) => sent.push(...activities.map(activity => activity.type)))
+        robot.respond(/slow report$/, async res => {
+            await res.reply('here is your report')
+        })
+
+        await post()
+
+        assert.deepEqual(sent, ['message'])
+    })
+
+    it('Should send a typing indicator through the adapter API', async () => {
+        await start()
+        let sent = null
+        await robot.adapter.sendTyping({
+            user: {
+                message: {
+                    async sendActivity(activity) {
+                        sent = activity
+                    }
+                }
+            }
+        })
+
+        assert.equal(sent.type, 'typing')
+    })
+})
+
+describe('Send retries', () => {
+    let robot = null
+    let client = null
+    const originalEnv = {}
+    const settings = {
+        TEAMS_BOT_SEND_RETRIES: '2',
+        TEAMS_BOT_SEND_RETRY_DELAY_MS: '1',
+        TEAMS_BOT_SEND_RETRY_MAX_DELAY_MS: '10'
+    }
+    beforeEach(async () => {
+        for (const [key, value] of Object.entries(settings)) {
+            originalEnv[key] = process.env[key]
+            process.env[key] = value
+        }
+        process.env.PORT = 0
+        robot = new Robot({
+            use(robot) {
+                client = new TeamsCloudAdapter({})
+                return new MsTeamsAdapter(robot, new HubotActivityHandler(robot), client)
+            }
+        }, true, 'test-bot')
+        await robot.loadAdapter()
+        await robot.run()
+        robot.adapter.conversationReferences['test-room'] = {
+            conversation: { id: 'test-conversation' },
+            serviceUrl: 'https://test.com'
+        }
+    })
+    afterEach(() => {
+        for (const [key, value] of Object.entries(originalEnv)) {
+            if (value === undefined) {
+                delete process.env[key]
+            } else {
+                process.env[key] = value
+            }
+        }
+        robot.shutdown()
+    })
+    const failWith = (statusCode, headers = {}) => {
+        const error = new Error(`HTTP ${statusCode}`)
+        error.statusCode = statusCode
+        error.response = { headers: { get: name => headers[name] } }
+        return error
+    }
+    const useConnector = sendActivity => {
+        client.continueConversation = async (conversationReference, callback) => {
+            await callback({
+                activity: { conversation: conversationReference.conversation },
+                sendActivity
+            })
+        }
+    }
+
+    it('Should wait out Retry-After and keep later messages in order', async () => {
+        const sent = []
+        let throttled = false
+        useConnector(async activity => {
+            if (activity.text === 'first' && !throttled) {
+                throttled = true
+                throw failWith(429, { 'retry-after': '1' })
+            }
+            sent.push(activity.text)
+            return activity.text
+        })
+
+        const started = Date.now()
+        await Promise.all([
+            robot.messageRoom('test-room', 'first'),
+            robot.messageRoom('test-room', 'second')
+        ])
+
+        assert.deepEqual(sent, ['first', 'second'])
+        assert.ok(Date.now() - started >= 900)
+    })
+
+    it('Should retry transient errors and drop the message once retries run out', async () => {
+        let attempts = 0
+        const dropped = []
+        robot.adapter.on('dropped', (activity, error, conversationId) => dropped.push({ activity, error, conversationId }))
+        useConnector(async () => {
+            attempts++
+            throw failWith(503)
+        })
+
+        await robot.messageRoom('test-room', 'lost')
+
+        assert.equal(attempts, 3)
+        assert.equal(dropped.length, 1)
+        assert.equal(dropped[0].activity.text, 'lost')
+        assert.equal(dropped[0].error.statusCode, 503)
+        assert.equal(dropped[0].conversationId, 'test-conversation')
+    })
+
+    it('Should not retry errors that will not go away', async () => {
+        let attempts = 0
+        const dropped = []
+        robot.adapter.on('dropped', activity => dropped.push(activity))
+        useConnector(async () => {
+            attempts++
+            throw failWith(400)
+        })
+
+        await robot.messageRoom('test-room', 'bad request')
+
+        assert.equal(attempts, 1)
+        assert.equal(dropped.length, 1)
+    })
+})
+
+describe('Redelivered activities', () => {
+    let robot = null
+    let originalAcknowledgeTimeout = null
+    beforeEach(async () => {
+        originalAcknowledgeTimeout = process.env.TEAMS_BOT_ACKNOWLEDGE_TIMEOUT_MS
+        process.env.TEAMS_BOT_ACKNOWLEDGE_TIMEOUT_MS = '10'
+        process.env.PORT = 0
+        robot = new Robot({
+            use(robot) {
+                return new MsTeamsAdapter(robot, new HubotActivityHandler(robot, context => new TextMessage(new User(context.activity.from.id, {
+                    name: context.activity.from.name,
+                    message: context
+                }), context.activity.text, context.activity.id)), new TeamsCloudAdapter({}))
+            }
+        }, true, 'test-bot')
+        await robot.loadAdapter()
+        await robot.run()
+    })
+    afterEach(() => {
+        if (originalAcknowledgeTimeout === undefined) {
+            delete process.env.TEAMS_BOT_ACKNOWLEDGE_TIMEOUT_MS
+        } else {
+            process.env.TEAMS_BOT_ACKNOWLEDGE_TIMEOUT_MS = originalAcknowledgeTimeout
+        }
+        robot.shutdown()
+    })
+    const post = (id, conversationId = 'a:112388d8s8djj') => fetch(`http://127.0.0.1:${robot.server.address().port}/api/messages`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            text: 'deploy',
+            channelId: 'msteams',
+            from: { id: 'test-user', name: 'test-user-name' },
+            recipient: { id: '888adsjjdskueu', name: 'test-bot' },
+            id,
+            type: 'message',
+            conversation: {
+                conversationType: 'personal',
+                id: conversationId,
+                tenantId: 'test-tenant-id'
+            }
+        })
+    })
+
+    it('Should acknowledge a redelivered activity without running listeners again', async () => {
+        const received = []
+        robot.hear(/deploy/, async res => {
+            received.push(`${res.message.user.message.activity.conversation.id}:${res.message.id}`)
+        })
+
+        const first = await post('deploy-1')
+        const redelivered = await post('deploy-1')
+        const otherConversation = await post('deploy-1', 'a:other-conversation')
+
+        assert.equal(first.status, 200)
+        assert.equal(redelivered.status, 200)
+        assert.equal(otherConversation.status, 200)
+        assert.deepEqual(received, ['a:112388d8s8djj:deploy-1', 'a:other-conversation:deploy-1'])
+    })
+
+    it('Should acknowledge the activity without waiting for slow listeners', async () => {
+        let finish = null
+        let finished = false
+        robot.hear(/deploy/, async () => {
+            await new Promise(resolve => {
+                finish = resolve
+            })
+            finished = true
+        })
+
+        const response = await post('slow-deploy')
+
+        assert.equal(response.status, 200)
+        assert.equal(finished, false)
+        finish()
+    })
+})
+
+describe('Access policy', () => {
+    let robot = null
+    let client = null
+    afterEach(() => {
+        robot.shutdown()
+    })
+    const start = async accessPolicy => {
+        process.env.PORT = 0
+        robot = new Robot({
+            use(robot) {
+                client = new TeamsCloudAdapter({})
+                return new MsTeamsAdapter(robot, new HubotActivityHandler(robot), client, { accessPolicy })
+            }
+        }, true, 'test-bot')
+        await robot.loadAdapter()
+        await robot.run()
+    }
+    const post = (tenantId, conversationType = 'personal') => fetch(`http://127.0.0.1:${robot.server.address().port}/api/messages`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            text: 'status',
+            channelId: 'msteams',
+            from: { id: 'test-user', name: 'test-user-name' },
+            recipient: { id: '888adsjjdskueu', name: 'test-bot' },
+            id: `${tenantId}-${conversationType}`,
+            type: 'message',
+            channelData: { tenant: { id: tenantId } },
+            conversation: {
+                conversationType,
+                id: `a:${tenantId}-${conversationType}`,
+                tenantId
+            }
+        })
+    })
+
+    it('Should refuse activities from tenants and conversation types that are not allowed', async () => {
+        await start(new AccessPolicy({
+            allowed: { tenantId: ['our-tenant'] },
+            denied: { conversationType: ['groupChat'] }
+        }))
+        const heard = []
+        const sent = []
+        robot.hear(/status/, async res => {
+            heard.push(res.message.id)
+        })
+        client.on('sendActivity', (context, activities) => sent.push(...activities.filter(activity => activity.type === 'message').map(activity => activity.text)))
+
+        const allowed = await post('our-tenant')
+        const otherTenant = await post('other-tenant')
+        const groupChat = await post('our-tenant', 'groupChat')
+
+        assert.equal(allowed.status, 200)
+        assert.equal(otherTenant.status, 200)
+        assert.equal(groupChat.status, 200)
+        assert.deepEqual(heard, ['our-tenant-personal'])
+        assert.deepEqual(sent, ["Sorry, I'm not available here.", "Sorry, I'm not available here."])
+        assert.equal(robot.adapter.conversationReferences['a:other-tenant-personal'], undefined)
+    })
+
+    it('Should refuse activities that come over a websocket too', async () => {
+        await start(new AccessPolicy({
+            allowed: { tenantId: ['our-tenant'] }
+        }))
+        const heard = []
+        robot.hear(/status/, async res => {
+            heard.push(res.message.id)
+        })
+        const activity = (tenantId, id) => ({
+            text: 'status',
+            channelId: 'msteams',
+            from: { id: 'test-user', name: 'test-user-name' },
+            recipient: { id: '888adsjjdskueu', name: 'test-bot' },
+            id,
+            type: 'message',
+            channelData: { tenant: { id: tenantId } },
+            conversation: { conversationType: 'personal', id: `a:${tenantId}`, tenantId }
+        })
+        const stream = activities => new Promise(resolve => {
+            client.process = async (req, socket, head, logic) => {
+                for (const activity of activities) {
+                    await logic(new TurnContext(client, activity))
+                }
+                resolve()
+            }
+            robot.server.emit('upgrade', {}, {}, Buffer.alloc(0))
+        })
+
+        await stream([activity('our-tenant', 'first'), activity('other-tenant', 'second'), activity('our-tenant', 'first')])
+
+        assert.deepEqual(heard, ['first'])
+        assert.ok(robot.adapter.conversationReferences['a:our-tenant'])
+        assert.equal(robot.adapter.conversationReferences['a:other-tenant'], undefined)
+    })
+
+    it('Should refuse to send to rooms that are not allowed', async () => {
+        await start(new AccessPolicy({
+            allowed: { channelId: ['19:allowed-channel@thread.tacv2'] }
+        }))
+        const sent = []
+        client.continueConversation = async (conversationReference, callback) => {
+            await callback({
+                async sendActivity(activity) {
+                    sent.push(conversationReference.conversation.id)
+                    return 'ok'
+                }
+            })
+        }
+        for (const id of ['19:allowed-channel@thread.tacv2', '19:other-channel@thread.tacv2']) {
+            robot.adapter.conversationReferences[id] = {
+                conversation: { id, conversationType: 'channel', tenantId: 'test-tenant-id' },
+                serviceUrl: 'https://test.com'
+            }
+        }
+
+        const responses = await robot.messageRoom('19:other-channel@thread.tacv2', 'hello')
+        await robot.messageRoom('19:allowed-channel@thread.tacv2', 'hello')
+        await robot.adapter.sendToThread('19:other-channel@thread.tacv2', 'root-post', 'hello')
+
+        assert.deepEqual(responses, [])
+        assert.deepEqual(sent, ['19:allowed-channel@thread.tacv2'])
+    })
+
+    it('Should send to a channel id in an allowed team once the bot has seen the channel', async () => {
+        await start(new AccessPolicy({
+            allowed: { teamId: ['team-a'] }
+        }))
+        const sent = []
+        client.continueConversation = async (conversationReference, callback) => {
+            await callback({
+                async sendActivity(activity) {
+                    sent.push(conversationReference.conversation.id)
+                    return 'ok'
+                }
+            })
+        }
+        const response = await fetch(`http://127.0.0.1:${robot.server.address().port}/api/messages`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                type: 'conversationUpdate',
+                channelId: 'msteams',
+                id: 'team-a-update',
+                from: { id: 'test-user', name: 'test-user-name' },
+                recipient: { id: '888adsjjdskueu', name: 'test-bot' },
+                channelData: { tenant: { id: 'test-tenant-id' }, team: { id: 'team-a' }, channel: { id: '19:general@thread.tacv2' } },
+                conversation: { id: '19:general@thread.tacv2', conversationType: 'channel', tenantId: 'test-tenant-id' }
+            })
+        })
+        robot.adapter.conversationReferences['19:unknown-team@thread.tacv2'] = {
+            conversation: { id: '19:unknown-team@thread.tacv2', conversationType: 'channel', tenantId: 'test-tenant-id' },
+            serviceUrl: 'https://test.com'
+        }
+
+        await robot.messageRoom('19:general@thread.tacv2', 'deploy finished')
+        await robot.messageRoom('19:unknown-team@thread.tacv2', 'deploy finished')
+
+        assert.equal(response.status, 200)
+        assert.equal(robot.adapter.conversationReferences['19:general@thread.tacv2'].teamId, 'team-a')
+        assert.deepEqual(sent, ['19:general@thread.tacv2'])
+    })
+
+    it('Should read allow and deny lists from the environment', () => {
+        const policy = AccessPolicy.fromEnvironment({
+            TEAMS_BOT_ALLOWED_TEAMS: 'team-a, team-b',
+            TEAMS_BOT_DENIED_CHANNELS: '19:off-limits@thread.tacv2'
+        })
+
+        assert.equal(policy.refusal({ tenantId: 'any', teamId: 'team-b', channelId: '19:general@thread.tacv2', conversationType: 'channel' }), null)
+        assert.equal(policy.refusal({ tenantId: 'any', teamId: 'team-c', channelId: '19:general@thread.tacv2', conversationType: 'channel' }), "team team-c isn't allowed")
+        assert.equal(policy.refusal({ tenantId: 'any', teamId: 'team-a', channelId: '19:off-limits@thread.tacv2', conversationType: 'channel' }), 'channel 19:off-limits@thread.tacv2 is denied')
+        assert.equal(policy.refusal({ tenantId: 'any', conversationType: 'personal' }), null)
+    })
+})
+
+describe('Outgoing webhooks', () => {
+    const secret = Buffer.from('outgoing-webhook-security-token').toString('base64')
+    let robot = null
+    let incomingWebhook = null
+    let received = []
+    let originalIncomingWebhooks = null
+    beforeEach(async () => {
+        received = []
+        incomingWebhook = createServer((req, res) => {
+            const chunks = []
+            req.on('data', chunk => chunks.push(chunk))
+            req.on('end', () => {
+                received.push({ url: req.url, body: JSON.parse(Buffer.concat(chunks).toString()) })
+                res.end('1')
+            })
+        })
+        await new Promise(resolve => incomingWebhook.listen(0, '127.0.0.1', resolve))
+        originalIncomingWebhooks = process.env.TEAMS_BOT_INCOMING_WEBHOOKS
+        process.env.TEAMS_BOT_INCOMING_WEBHOOKS = `alerts=http://127.0.0.1:${incomingWebhook.address().port}/alerts?sig=a=b`
+        process.env.PORT = 0
+        robot = new Robot({
+            use(robot) {
+                return new MsTeamsAdapter(robot, new HubotActivityHandler(robot), new OutgoingWebhookClient(secret))
+            }
+        }, true, 'test-bot')
+        await robot.loadAdapter()
+        await robot.run()
+    })
+    afterEach(async () => {
+        if (originalIncomingWebhooks === undefined) {
+            delete process.env.TEAMS_BOT_INCOMING_WEBHOOKS
+        } else {
+            process.env.TEAMS_BOT_INCOMING_WEBHOOKS = originalIncomingWebhooks
+        }
+        robot.shutdown()
+        await new Promise(resolve => incomingWebhook.close(resolve))
+    })
+    const post = (text, sign = body => createHmac('sha256', Buffer.from(secret, 'base64')).update(body).digest('base64')) => {
+        const body = JSON.stringify({
+            type: 'message',
+            id: '1485983408511',
+            channelId: 'msteams',
+            serviceUrl: 'https://smba.trafficmanager.net/amer/',
+            from: { id: '29:test-user', name: 'test-user-name', aadObjectId: 'test-aad-id' },
+            conversation: {
+                isGroup: true,
+                id: '19:webhook-channel@thread.tacv2;messageid=1485983408511',
+                conversationType: 'channel',
+                tenantId: 'test-tenant-id'
+            },
+            recipient: null,
+            textFormat: 'plain',
+            text,
+            channelData: {
+                teamsChannelId: '19:webhook-channel@thread.tacv2',
+                teamsTeamId: '19:webhook-team@thread.tacv2',
+                channel: { id: '19:webhook-channel@thread.tacv2' },
+                team: { id: '19:webhook-team@thread.tacv2' },
+                tenant: { id: 'test-tenant-id' }
+            }
+        })
+        return fetch(`http://127.0.0.1:${robot.server.address().port}/api/outgoing-webhook`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `HMAC ${sign(body)}`
+            },
+            body
+        })
+    }
+
+    it('Should reply to a signed outgoing webhook in the HTTP response', async () => {
+        robot.respond(/ping$/, async res => {
+            await res.send('pong')
+            await res.send('still here')
+        })
+
+        const response = await post('<at>test-bot</at> ping')
+
+        assert.equal(response.status, 200)
+        assert.deepEqual(await response.json(), { type: 'message', text: 'pong\n\nstill here' })
+    })
+
+    it('Should reject an outgoing webhook with a bad signature', async () => {
+        let heard = false
+        robot.respond(/ping$/, async () => {
+            heard = true
+        })
+
+        const response = await post('<at>test-bot</at> ping', () => Buffer.from('forged').toString('base64'))
+
+        assert.equal(response.status, 401)
+        assert.equal(heard, false)
+    })
+
+    it('Should send messageRoom to incoming webhooks', async () => {
+        const url = `http://127.0.0.1:${incomingWebhook.address().port}/direct`
+        await robot.messageRoom('alerts', 'deploy finished')
+        await robot.messageRoom(url, JSON.stringify({ type: 'AdaptiveCard', version: '1.4', body: [] }))
+
+        assert.deepEqual(received[0], { url: '/alerts?sig=a=b', body: { text: 'deploy finished' } })
+        assert.equal(received[1].url, '/direct')
+        assert.equal(received[1].body.attachments[0].contentType, 'application/vnd.microsoft.card.adaptive')
+    })
+})
+
+describe('Local Bot Connector', () => {
+    const settings = {
+        TEAMS_BOT_APP_ID: 'local-app-id',
+        TEAMS_BOT_CLIENT_SECRET: 'local-secret',
+        TEAMS_BOT_TENANT_ID: 'test-tenant-id',
+        TEAMS_BOT_APP_TYPE: 'MultiTenant',
+        TEAMS_BOT_TYPING_INDICATOR: 'false'
+    }
+    const originalEnv = {}
+    let connector = null
+    let robot = null
+    let endpoint = null
+    beforeEach(async () => {
+        connector = new LocalBotConnector({ appId: settings.TEAMS_BOT_APP_ID, appPassword: settings.TEAMS_BOT_CLIENT_SECRET })
+        await connector.start()
+        for (const [key, value] of Object.entries({ ...settings, TEAMS_BOT_SERVICE_URL: connector.serviceUrl })) {
+            originalEnv[key] = process.env[key]
+            process.env[key] = value
+        }
+        process.env.PORT = 0
+        robot = new Robot(init, true, 'test-bot', null)
+        await robot.loadAdapter()
+        await robot.run()
+        endpoint = `http://127.0.0.1:${robot.server.address().port}/api/messages`
+    })
+    afterEach(async () => {
+        for (const [key, value] of Object.entries(originalEnv)) {
+            if (value === undefined) {
+                delete process.env[key]
+            } else {
+                process.env[key] = value
+            }
+        }
+        robot.shutdown()
+        await connector.stop()
+    })
+    const message = (text, id = 'local-message') => ({
+        type: 'message',
+        id,
+        text,
+        from: { id: '29:local-user', name: 'local-user-name', aadObjectId: 'local-aad-id' },
+        recipient: { id: '28:local-app-id', name: 'test-bot' },
+        conversation: { conversationType: 'personal', id: 'a:local-chat', tenantId: 'test-tenant-id' },
+        channelData: { tenant: { id: 'test-tenant-id' } }
+    })
+
+    it('Should deliver a signed activity and record the reply the bot sends with its token', async () => {
+        robot.respond(/ping$/, async res => {
+            await res.reply('pong')
+        })
+
+        const response = await connector.deliver(endpoint, message('ping'))
+        const reply = await connector.waitForActivity(activity => activity.text === 'pong')
+
+        assert.equal(response.status, 200)
+        const request = connector.requests.find(request => request.activity === reply)
+        assert.equal(request.conversationId, 'a:local-chat')
+        assert.equal(request.activityId, 'local-message')
+        assert.equal(request.authenticated, true)
+    })
+
+    it('Should reject unsigned activities when the bot has credentials', async () => {
+        let heard = false
+        robot.respond(/ping$/, async () => {
+            heard = true
+        })
+
+        const response = await connector.deliver(endpoint, message('ping'), { signed: false })
+
+        assert.equal(response.status, 401)
+        assert.equal(heard, false)
+    })
+
+    it('Should send proactively and create conversations through the connector', async () => {
+        await connector.deliver(endpoint, message('hello'))
+
+        await robot.messageRoom('a:local-chat', 'proactive hello')
+        const [chatMessage] = await robot.adapter.sendToUser({ id: '29:someone-else' }, 'new chat')
+        const { threadId, responses } = await robot.adapter.startThread('19:local-channel@thread.tacv2', 'Deploy #42', 'root post', 'first reply')
+
+        assert.equal((await connector.waitForActivity(activity => activity.text === 'proactive hello')).conversation.id, 'a:local-chat')
+        const [created, posted] = connector.requests.filter(request => request.path === '/v3/conversations')
+        assert.deepEqual(created.body.members, [{ id: '29:someone-else' }])
+        const sent = connector.requests.find(request => request.conversationId === created.conversationId && request.activity?.text === 'new chat')
+        assert.ok(sent)
+        assert.ok(chatMessage.id)
+        assert.equal(posted.activity.text, 'root post')
+        assert.equal(posted.conversationId, `19:local-channel@thread.tacv2;messageid=${threadId}`)
+        assert.equal(responses.length, 2)
+        assert.equal(responses[0].id, threadId)
+    })
+
+    it('Should not start a conversation for text that is only whitespace', async () => {
+        await connector.deliver(endpoint, message('hello'))
+
+        const blank = ' '.repeat(30_000)
+        const responses = await robot.adapter.sendToUser({ id: '29:someone-else' }, blank)
+        const thread = await robot.adapter.startThread('19:local-channel@thread.tacv2', 'Deploy #42', blank)
+
+        assert.deepEqual(responses, [])
+        assert.deepEqual(thread, { threadId: null, responses: [] })
+        assert.equal(connector.requests.some(request => request.path === '/v3/conversations'), false)
+    })
+
+    it('Should update and delete a message through res after the turn is over', async () => {
+        let build = null
+        robot.respond(/build 123$/, async res => {
+            const [sent] = await res.reply('build #123 running…')
+            build = { res, sent }
+        })
+
+        await connector.deliver(endpoint, message('build 123'))
+        await connector.waitForActivity(activity => activity.text === 'build #123 running…')
+        const response = await build.res.updateActivity(build.sent, 'build #123 passed')
+        const wasDeleted = await build.res.deleteActivity(build.sent)
+
+        assert.equal(response.id, build.sent.id)
+        const update = connector.requests.find(request => request.method === 'PUT')
+        assert.equal(update.conversationId, 'a:local-chat')
+        assert.equal(update.activityId, build.sent.id)
+        assert.equal(update.body.text, 'build #123 passed')
+        assert.equal(wasDeleted, true)
+        assert.equal(connector.requests.find(request => request.method === 'DELETE').activityId, build.sent.id)
+    })
+
+    it('Should send to the room through res after the turn is over', async () => {
+        let later = null
+        robot.respond(/remind me$/, async res => {
+            later = res
+        })
+
+        await connector.deliver(endpoint, message('remind me'))
+        await new Promise(resolve => setImmediate(resolve))
+        const responses = await later.send('later')
+
+        assert.equal(responses.length, 1)
+        const sent = await connector.waitForActivity(activity => activity.text === 'later')
+        assert.equal(sent.conversation.id, 'a:local-chat')
+    })
+
+    it('Should pass attachment-only messages to listeners and download images with the bot token', async () => {
+        connector.attachments.set('pasted-image', { contentType: 'image/png', data: Buffer.from('png bytes') })
+        const imageUrl = connector.attachmentUrl('pasted-image')
+        const received = new Promise(resolve => {
+            robot.respond(/$/, async res => {
+                const data = await res.downloadAttachment(res.message.attachments.find(attachment => attachment.type === 'image'))
+                resolve({ attachments: res.message.attachments, data })
+            })
+        })
+
+        await connector.deliver(endpoint, {
+            ...message(''),
+            attachments: [
+                { contentType: 'application/vnd.microsoft.teams.file.download.info', name: 'app.log', content: { downloadUrl: 'https://files.example.com/app.log', uniqueId: 'file-1', fileType: 'log' } },
+                { contentType: 'text/html', content: `<div><img src="${imageUrl.replace(/&/g, '&amp;')}" itemtype="http://schema.skype.com/AMSImage"></div>` }
+            ]
+        })
+
+        const { attachments, data } = await received
+        assert.deepEqual(attachments.map(({ raw, ...attachment }) => attachment), [
+            { type: 'file', name: 'app.log', contentType: 'application/vnd.microsoft.teams.file.download.info', fileType: 'log', uniqueId: 'file-1', url: 'https://files.example.com/app.log' },
+            { type: 'image', name: null, contentType: 'image/*', url: imageUrl }
+        ])
+        assert.equal(data.toString(), 'png bytes')
+        assert.equal(connector.requests.find(request => request.attachmentId === 'pasted-image').authenticated, true)
+    })
+
+    it('Should offer a file with a consent card and upload it once the user accepts', async () => {
+        const uploads = []
+        const oneDrive = createServer((req, res) => {
+            const chunks = []
+            req.on('data', chunk => chunks.push(chunk))
+            req.on('end', () => {
+                uploads.push({ range: req.headers['content-range'], body: Buffer.concat(chunks).toString() })
+                res.writeHead(201).end()
+            })
+        })
+        await new Promise(resolve => oneDrive.listen(0, '127.0.0.1', resolve))
+        try {
+            robot.respond(/report$/, async res => {
+                await res.sendFile({ name: 'report.csv', content: 'a,b\n1,2\n', description: 'The weekly report' })
+            })
+            await connector.deliver(endpoint, message('report'))
+            const consentCard = await connector.waitForActivity(activity => activity.attachments?.[0]?.contentType === 'application/vnd.microsoft.teams.card.file.consent')
+            const { content } = consentCard.attachments[0]
+            assert.equal(content.sizeInBytes, 8)
+            assert.equal(content.description, 'The weekly report')
+
+            const uploaded = new Promise(resolve => robot.adapter.once('fileUploaded', resolve))
+            const response = await connector.deliver(endpoint, {
+                ...message(null, 'consent-invoke'),
+                type: 'invoke',
+                name: 'fileConsent/invoke',
+                replyToId: 'consent-card-id',
+                value: {
+                    type: 'fileUpload',
+                    action: 'accept',
+                    context: content.acceptContext,
+                    uploadInfo: {
+                        name: 'report.csv',
+                        uploadUrl: `http://127.0.0.1:${oneDrive.address().port}/upload-session`,
+                        contentUrl: 'https://onedrive.example.com/report.csv',
+                        uniqueId: 'file-unique-id',
+                        fileType: 'csv'
+                    }
+                }
+            })
+            assert.equal(response.status, 200)
+            await uploaded
+
+            assert.deepEqual(uploads, [{ range: 'bytes 0-7/8', body: 'a,b\n1,2\n' }])
+            const fileInfo = await connector.waitForActivity(activity => activity.attachments?.[0]?.contentType === 'application/vnd.microsoft.teams.card.file.info')
+            assert.deepEqual(fileInfo.attachments[0], {
+                contentType: 'application/vnd.microsoft.teams.card.file.info',
+                name: 'report.csv',
+                contentUrl: 'https://onedrive.example.com/report.csv',
+                content: { uniqueId: 'file-unique-id', fileType: 'csv' }
+            })
+            assert.ok(connector.requests.some(request => request.method === 'DELETE' && request.activityId === 'consent-card-id'))
+        } finally {
+            oneDrive.close()
+        }
+    })
+
+    it('Should receive reactions and trace them back to the message the bot sent', async () => {
+        let incident = null
+        robot.respond(/incident$/, async res => {
+            [incident] = await res.send('Incident #42, react to claim it')
+        })
+        const reactions = []
+        const received = new Promise(resolve => {
+            robot.listen(message => message instanceof ReactionMessage, {}, async res => {
+                reactions.push(res.message)
+                if (reactions.length === 2) {
+                    resolve()
+                }
+            })
+        })
+        await connector.deliver(endpoint, message('incident'))
+        await connector.waitForActivity(activity => activity.text === 'Incident #42, react to claim it')
+
+        const reaction = (type, id, reactions) => connector.deliver(endpoint, {
+            ...message(null, id),
+            type: 'messageReaction',
+            replyToId: incident.id,
+            [type]: reactions
+        })
+        await reaction('reactionsAdded', 'reaction-1', [{ type: 'like' }])
+        await reaction('reactionsRemoved', 'reaction-2', [{ type: 'like' }])
+        await received
+
+        assert.deepEqual(reactions.map(({ type, reaction, itemId }) => ({ type, reaction, itemId })), [
+            { type: 'added', reaction: 'like', itemId: incident.id },
+            { type: 'removed', reaction: 'like', itemId: incident.id }
+        ])
+        assert.equal(reactions[0].user.id, '29:local-user')
+        assert.equal(reactions[0].item.text, 'Incident #42, react to claim it')
+        assert.equal(reactions[0].item.room, 'a:local-chat')
+        assert.equal(robot.adapter.sentMessage('unknown-activity'), null)
+    })
+
+    it('Should receive edits and deletes of a message without running its listeners again', async () => {
+        const commands = []
+        const changes = []
+        robot.respond(/deploy (.*)$/, async res => {
+            commands.push(res.match[1])
+        })
+        const received = new Promise(resolve => {
+            robot.listen(message => message instanceof EditedMessage || message instanceof DeletedMessage, {}, async res => {
+                changes.push(res.message)
+                if (changes.length === 3) {
+                    resolve()
+                }
+            })
+        })
+        const change = (type, eventType, text) => connector.deliver(endpoint, {
+            ...message(text, 'deploy-message'),
+            type,
+            channelData: { tenant: { id: 'test-tenant-id' }, eventType }
+        })
+
+        await connector.deliver(endpoint, message('deploy api', 'deploy-message'))
+        await change('messageUpdate', 'editMessage', 'deploy web')
+        await change('messageUpdate', 'editMessage', 'deploy worker')
+        await change('messageDelete', 'softDeleteMessage', null)
+        await received
+
+        assert.deepEqual(commands, ['api'])
+        assert.deepEqual(changes.map(change => [change.constructor.name, change.id, change.text]), [
+            ['EditedMessage', 'deploy-message', '@test-bot deploy web'],
+            ['EditedMessage', 'deploy-message', '@test-bot deploy worker'],
+            ['DeletedMessage', 'deploy-message', undefined]
+        ])
+        assert.equal(changes[2].user.id, '29:local-user')
+    })
+
+    it('Should sync the roster into brain users when installed, on new members and on demand', async () => {
+        const groupChat = { conversationType: 'groupChat', id: '19:local-group-chat@thread.v2', tenantId: 'test-tenant-id' }
+        const member = (name, extra = {}) => ({ id: `29:${name}`, name, email: `${name}@example.com`, userPrincipalName: `${name}@example.com`, aadObjectId: `aad-${name}`, tenantId: 'test-tenant-id', ...extra })
+        const membersAdded = (id, members) => connector.deliver(endpoint, {
+            ...message(null, id),
+            type: 'conversationUpdate',
+            conversation: groupChat,
+            membersAdded: members
+        })
+        connector.members = [member('alice'), member('bob')]
+
+        await membersAdded('installed', [{ id: '28:local-app-id' }])
+        assert.equal(robot.brain.userForId('29:alice').email, 'alice@example.com')
+        assert.equal(robot.brain.userForId('29:bob').aadObjectId, 'aad-bob')
+        assert.equal(robot.adapter.userForEmail('BOB@example.com').id, '29:bob')
+
+        connector.members.push(member('carol'))
+        await membersAdded('carol-joined', [{ id: '29:carol' }])
+        assert.equal(robot.brain.userForName('carol').userPrincipalName, 'carol@example.com')
+        assert.ok(connector.requests.some(request => request.conversationId === groupChat.id && request.activityId === '29:carol'))
+
+        connector.members[0] = member('alice', { email: 'alice@new.example.com' })
+        assert.equal(await robot.adapter.syncRoster(), 3)
+        assert.equal(robot.adapter.userForEmail('alice@new.example.com').id, '29:alice')
+    })
+
+    it('Should take members who leave out of the roster', async () => {
+        const groupChat = { conversationType: 'groupChat', id: '19:local-group-chat@thread.v2', tenantId: 'test-tenant-id' }
+        const member = name => ({ id: `29:${name}`, name, email: `${name}@example.com`, tenantId: 'test-tenant-id' })
+        const update = (id, change, members) => connector.deliver(endpoint, {
+            ...message(null, id),
+            type: 'conversationUpdate',
+            conversation: groupChat,
+            [change]: members
+        })
+        connector.members = [member('alice'), member('bob'), member('carol')]
+        await update('installed', 'membersAdded', [{ id: '28:local-app-id' }])
+
+        connector.members = [member('alice'), member('bob')]
+        await update('carol-left', 'membersRemoved', [{ id: '29:carol', name: 'carol' }])
+        const responses = await robot.adapter.sendToUser('29:carol', 'your deploy finished')
+
+        assert.deepEqual(robot.brain.userForId('29:carol').memberOf, [])
+        assert.equal(robot.brain.userForId('29:carol').email, 'carol@example.com')
+        assert.equal(robot.adapter.userForEmail('carol@example.com'), null)
+        assert.deepEqual(responses, [])
+        assert.deepEqual(robot.brain.userForId('29:alice').memberOf, [groupChat.id])
+
+        connector.members = [member('alice')]
+        await robot.adapter.syncRoster(groupChat.id)
+        assert.equal(robot.adapter.userForEmail('bob@example.com'), null)
+
+        await update('uninstalled', 'membersRemoved', [{ id: '28:local-app-id' }])
+        assert.equal(robot.adapter.userForEmail('alice@example.com'), null)
+    })
+
+    it('Should keep one roster per team and chat for the conversations the bot started', async () => {
+        const team = { id: '19:local-team@thread.tacv2', name: 'Local Team' }
+        const channel = { conversationType: 'channel', id: '19:local-channel@thread.tacv2', tenantId: 'test-tenant-id' }
+        const member = name => ({ id: `29:${name}`, name, email: `${name}@example.com`, tenantId: 'test-tenant-id' })
+        const update = (id, change, members) => connector.deliver(endpoint, {
+            ...message(null, id),
+            type: 'conversationUpdate',
+            conversation: channel,
+            channelData: { tenant: { id: 'test-tenant-id' }, team, channel: { id: channel.id } },
+            [change]: members
+        })
+        connector.members = [member('alice')]
+        await update('installed', 'membersAdded', [{ id: '28:local-app-id' }])
+
+        const { threadId } = await robot.adapter.startThread(channel.id, 'Deploy #42', 'deploying api')
+        await robot.adapter.sendToUser('29:alice', 'your deploy started')
+        await robot.adapter.syncRoster()
+
+        const thread = robot.adapter.conversationReferences[`${channel.id};messageid=${threadId}`]
+        const chat = robot.adapter.conversationReferences['personal:29:alice']
+        assert.equal(thread.teamId, team.id)
+        assert.equal(thread.tenantId, 'test-tenant-id')
+        assert.equal(chat.tenantId, 'test-tenant-id')
+        assert.deepEqual(robot.brain.userForId('29:alice').memberOf, [team.id, chat.conversation.id])
+
+        await update('uninstalled', 'membersRemoved', [{ id: '28:local-app-id' }])
+        assert.deepEqual(robot.brain.userForId('29:alice').memberOf, [chat.conversation.id])
+    })
+
+    it('Should give scripts the conversation id as the room and Teams details in roomInfo', async () => {
+        const threadConversation = '19:local-channel@thread.tacv2;messageid=root-post'
+        const received = new Promise(resolve => {
+            robot.respond(/where am i$/, async res => resolve(res.message.user))
+        })
+        await connector.deliver(endpoint, {
+            ...message('<at>test-bot</at> where am i'),
+            conversation: { conversationType: 'channel', id: threadConversation, tenantId: 'test-tenant-id' },
+            channelData: { tenant: { id: 'test-tenant-id' }, team: { id: '19:local-team@thread.tacv2', name: 'Local Team' }, channel: { id: '19:local-channel@thread.tacv2', name: 'General' } },
+            entities: [{ type: 'mention', text: '<at>test-bot</at>', mentioned: { id: '28:local-app-id', name: 'test-bot' } }]
+        })
+        const user = await received
+
+        assert.equal(user.room, threadConversation)
+        assert.deepEqual(user.roomInfo, {
+            id: threadConversation,
+            name: 'General',
+            conversationType: 'channel',
+            tenantId: 'test-tenant-id',
+            teamId: '19:local-team@thread.tacv2',
+            teamName: 'Local Team',
+            channelId: '19:local-channel@thread.tacv2',
+            threadId: 'root-post'
+        })
+        assert.deepEqual(Object.keys(JSON.parse(JSON.stringify(user))).sort(), ['aadObjectId', 'id', 'name', 'room', 'roomInfo'])
+
+        await robot.messageRoom(user.room, 'back in the thread')
+        const sent = await connector.waitForActivity(activity => activity.text === 'back in the thread')
+        assert.equal(sent.conversation.id, threadConversation)
+    })
+
+    it('Should send small images inline in channels', async () => {
+        const sent = new Promise(resolve => {
+            robot.respond(/chart$/, async res => {
+                resolve([
+                    await res.sendFile({ name: 'chart.png', content: Buffer.from('png bytes') }),
+                    await res.sendFile({ name: 'report.pdf', content: Buffer.from('pdf bytes') })
+                ])
+            })
+        })
+        await connector.deliver(endpoint, {
+            ...message('<at>test-bot</at> chart'),
+            conversation: { conversationType: 'channel', id: '19:local-channel@thread.tacv2', tenantId: 'test-tenant-id' },
+            entities: [{ type: 'mention', text: '<at>test-bot</at>', mentioned: { id: '28:local-app-id', name: 'test-bot' } }]
+        })
+
+        const [image, pdf] = await sent
+        assert.equal(image.length, 1)
+        assert.deepEqual(pdf, [])
+        const [sentImage] = connector.activities.filter(activity => activity.attachments?.length > 0)
+        assert.equal(sentImage.attachments[0].contentUrl, `data:image/png;base64,${Buffer.from('png bytes').toString('base64')}`)
+        assert.equal(connector.activities.some(activity => activity.attachments?.[0]?.name === 'report.pdf'), false)
+    })
+})
+
+describe('App manifest', () => {
+    const appId = '00000000-0000-4000-8000-000000000001'
+    const developer = {
+        name: 'Test Developer',
+        websiteUrl: 'https://example.com',
+        privacyUrl: 'https://example.com/privacy',
+        termsOfUseUrl: 'https://example.com/terms'
+    }
+    let robot = null
+    beforeEach(async () => {
+        process.env.PORT = 0
+        robot = new Robot({
+            use(robot) {
+                return new MsTeamsAdapter(robot, new HubotActivityHandler(robot), new TeamsCloudAdapter({}))
+            }
+        }, true, 'test-bot', 'tb')
+        await robot.loadAdapter()
+        await robot.run()
+        robot.commands.register({ id: 'tickets.create', description: 'Create a ticket', handler: async () => 'created' })
+        robot.helpStrings.push('hubot deploy <app> to <env> - Deploys app to env', 'tb ship it - Ships it', 'hubot tickets.create - Opens a ticket')
+    })
+    afterEach(() => {
+        robot.shutdown()
+    })
+
+    it('Should build the manifest from the app id, the robot name and its commands', () => {
+        const manifest = robot.adapter.manifest({ appId, developer })
+        assert.equal(manifest.id, appId)
+        assert.equal(manifest.bots[0].botId, appId)
+        assert.equal(manifest.name.short, 'test-bot')
+        assert.equal(manifest.packageName, 'com.hubot.test-bot')
+        assert.deepEqual(manifest.bots[0].commandLists, [{
+            scopes: ['personal', 'team', 'groupchat'],
+            commands: [
+                { title: 'help', description: robot.commands.getCommand('help').description },
+                { title: 'tickets.create', description: 'Create a ticket' },
+                { title: 'deploy', description: 'Deploys app to env' },
+                { title: 'ship it', description: 'Ships it' }
+            ]
+        }])
+        assert.deepEqual(validateManifest(manifest), [])
+    })
+
+    it('Should report what is missing or too long', () => {
+        const manifest = robot.adapter.manifest({ appId: 'not-a-guid', commands: Array.from({ length: 12 }, (_, i) => ({ title: `command ${i}`, description: 'x'.repeat(200) })) })
+        const errors = validateManifest(manifest)
+        assert.ok(errors.includes('id isn\'t valid: not-a-guid'), errors.join('\n'))
+        assert.ok(errors.includes('developer.name is required'), errors.join('\n'))
+        assert.ok(errors.includes('bots[0].commandLists[0].commands[0].description must be at most 128 characters'), errors.join('\n'))
+        assert.equal(manifest.bots[0].commandLists[0].commands.length, 10)
+        assert.throws(() => robot.adapter.appPackage({ appId: 'not-a-guid' }), /manifest isn't valid/)
+    })
+
+    it('Should list message extension commands as composeExtensions', () => {
+        robot.teams.searchCommand('tickets', { title: 'Tickets', description: 'Find a ticket' }, async () => [])
+        robot.teams.actionCommand('createTicket', {
+            title: 'Create ticket',
+            parameters: [{ name: 'title', title: 'Title' }]
+        }, async () => null)
+        const manifest = robot.adapter.manifest({ appId, developer })
+        assert.deepEqual(manifest.composeExtensions, [{
+            botId: appId,
+            commands: [
+                {
+                    id: 'tickets',
+                    type: 'query',
+                    title: 'Tickets',
+                    description: 'Find a ticket',
+                    context: ['compose', 'commandBox'],
+                    initialRun: false,
+                    parameters: [{ name: 'query', title: 'Search', description: 'Find a ticket', inputType: 'text' }]
+                },
+                {
+                    id: 'createTicket',
+                    type: 'action',
+                    title: 'Create ticket',
+                    description: 'Create ticket',
+                    context: ['compose', 'commandBox'],
+                    fetchTask: false,
+                    parameters: [{ name: 'title', title: 'Title', description: 'Title', inputType: 'text' }]
+                }
+            ]
+        }])
+        assert.deepEqual(validateManifest(manifest), [])
+        assert.throws(() => robot.teams.actionCommand('noDialog', async () => null), /needs parameters or a fetchTask/)
+    })
+
+    it('Should package the manifest and icons into a zip', () => {
+        const appPackage = robot.adapter.appPackage({ appId, developer })
+        assert.equal(appPackage.readUInt32LE(0), 0x04034B50)
+        const names = []
+        for (let offset = appPackage.indexOf(Buffer.from([0x50, 0x4B, 0x01, 0x02])); offset !== -1; offset = appPackage.indexOf(Buffer.from([0x50, 0x4B, 0x01, 0x02]), offset + 46)) {
+            names.push(appPackage.toString('utf8', offset + 46, offset + 46 + appPackage.readUInt16LE(offset + 28)))
+        }
+        assert.deepEqual(names, ['manifest.json', 'icon-192.png', 'icon-32.png'])
+        assert.ok(appPackage.includes(`"botId": "${appId}"`))
+        assert.throws(() => robot.adapter.appPackage({ appId, developer }, { color: readFileSync(new URL('./icon-32.png', import.meta.url)) }), /icons.color must be a 192x192 PNG/)
+    })
 })
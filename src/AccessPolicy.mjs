@@ -0,0 +1,59 @@
+const DIMENSIONS = {
+    tenantId: { name: 'tenant', setting: 'TENANTS' },
+    teamId: { name: 'team', setting: 'TEAMS' },
+    channelId: { name: 'channel', setting: 'CHANNELS' },
+    conversationType: { name: 'conversation type', setting: 'CONVERSATION_TYPES' }
+}
+
+const list = value => (value ?? '').split(',').map(item => item.trim()).filter(Boolean)
+
+// Decides which tenants, teams, channels and conversation types (personal, groupChat, channel)
+// the bot talks in. A denied value is always refused. When a dimension has an allow list,
+// anything not on it is refused. An empty allow list allows everything.
+class AccessPolicy {
+    #allowed
+    #denied
+    constructor({ allowed = {}, denied = {} } = {}) {
+        this.#allowed = allowed
+        this.#denied = denied
+    }
+    // Reads TEAMS_BOT_ALLOWED_TENANTS, TEAMS_BOT_DENIED_TENANTS, TEAMS_BOT_ALLOWED_TEAMS and so on.
+    static fromEnvironment(env = process.env) {
+        const allowed = {}
+        const denied = {}
+        for (const [key, { setting }] of Object.entries(DIMENSIONS)) {
+            allowed[key] = list(env[`TEAMS_BOT_ALLOWED_${setting}`])
+            denied[key] = list(env[`TEAMS_BOT_DENIED_${setting}`])
+        }
+        return new AccessPolicy({ allowed, denied })
+    }
+    static targetOf(activity) {
+        return {
+            tenantId: activity.channelData?.tenant?.id ?? activity.conversation?.tenantId,
+            teamId: activity.channelData?.team?.id,
+            channelId: activity.channelData?.channel?.id,
+            conversationType: activity.conversation?.conversationType
+        }
+    }
+    // target is { tenantId, teamId, channelId, conversationType }.
+    // Returns why the target is refused, or null when it's allowed.
+    refusal(target) {
+        for (const [key, { name }] of Object.entries(DIMENSIONS)) {
+            const value = target[key]
+            if (value !== undefined && this.#denied[key]?.includes(value)) {
+                return `${name} ${value} is denied`
+            }
+            // Only channels are in a team, so an unknown team or channel is refused there and nowhere else.
+            const applies = value !== undefined || ['tenantId', 'conversationType'].includes(key) || target.conversationType === 'channel'
+            if (applies && this.#allowed[key]?.length > 0 && !this.#allowed[key].includes(value)) {
+                return `${name} ${value ?? '(unknown)'} isn't allowed`
+            }
+        }
+        return null
+    }
+}
+
+export default AccessPolicy
+export {
+    AccessPolicy
+}
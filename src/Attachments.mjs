@@ -0,0 +1,72 @@
+const FILE_DOWNLOAD_INFO = 'application/vnd.microsoft.teams.file.download.info'
+const CARD_PREFIX = 'application/vnd.microsoft.card.'
+const IMAGE_SOURCE = /<img\b[^>]*?\bsrc="([^"]+)"/gi
+// Where Teams keeps images pasted into messages. They're served to the bot with its Bot Framework token.
+const BOT_HOSTED_CONTENT = [/\.asm\.skype\.com$/i, /^smba\.trafficmanager\.net$/i]
+
+const decodeEntities = value => value
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, '\'')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&')
+
+// Turns the attachments on an incoming activity into a list scripts can use without knowing
+// Teams' formats. Every entry has a type (file, image, card or other), name, contentType and raw,
+// the attachment as Teams sent it.
+//
+// file  - A file shared in the chat. url is a pre-authorized download link, fileType the extension.
+// image - An image pasted into the message. url needs the bot's token, see downloadAttachment.
+// card  - A card, with its content.
+//
+// The text/html copy of the message Teams adds is left out, apart from the images in it.
+const normalizeAttachments = (attachments = []) => {
+    const urls = new Set()
+    const image = (url, attachment, contentType = 'image/*') => {
+        if (!url || urls.has(url)) {
+            return []
+        }
+        urls.add(url)
+        return [{ type: 'image', name: attachment.name ?? null, contentType, url, raw: attachment }]
+    }
+    return (attachments ?? []).flatMap(attachment => {
+        const contentType = attachment?.contentType ?? ''
+        if (contentType === FILE_DOWNLOAD_INFO) {
+            return [{
+                type: 'file',
+                name: attachment.name ?? null,
+                contentType,
+                fileType: attachment.content?.fileType ?? null,
+                uniqueId: attachment.content?.uniqueId ?? null,
+                url: attachment.content?.downloadUrl ?? null,
+                raw: attachment
+            }]
+        }
+        if (contentType.startsWith('image/')) {
+            return image(attachment.contentUrl, attachment, contentType)
+        }
+        if (contentType === 'text/html') {
+            return [...`${attachment.content ?? ''}`.matchAll(IMAGE_SOURCE)].flatMap(([, src]) => image(decodeEntities(src), attachment))
+        }
+        if (contentType.startsWith(CARD_PREFIX)) {
+            return [{ type: 'card', name: attachment.name ?? null, contentType, content: attachment.content, raw: attachment }]
+        }
+        return [{ type: 'other', name: attachment.name ?? null, contentType, url: attachment.contentUrl ?? null, content: attachment.content, raw: attachment }]
+    })
+}
+
+// The bot's token only goes to the Bot Connector that sent the activity and Teams' image store,
+// never to file links or anything else a message points at.
+const needsBotToken = (url, serviceUrl) => {
+    try {
+        const { origin, hostname } = new URL(url)
+        return (serviceUrl && origin === new URL(serviceUrl).origin) || BOT_HOSTED_CONTENT.some(host => host.test(hostname))
+    } catch {
+        return false
+    }
+}
+
+export {
+    normalizeAttachments,
+    needsBotToken
+}
@@ -0,0 +1,35 @@
+import EventEmitter from 'node:events'
+
+const BRAIN_KEY = 'msteams.conversationReferences'
+
+// Keeps conversation references in robot.brain so they survive a restart when a brain
+// script (e.g. hubot-redis-brain) is persisting the brain.
+// Any object with async load() and save(entries) methods can be passed to the adapter instead.
+// Entries look like { [conversationId]: { reference, lastSeen } }.
+class BrainConversationReferenceStore extends EventEmitter {
+    #robot
+    #key
+    constructor(robot, key = BRAIN_KEY) {
+        super()
+        this.#robot = robot
+        this.#key = key
+        // Brain scripts load their data asynchronously and call mergeData, which emits 'loaded'.
+        this.#robot.brain.on('loaded', data => {
+            const entries = data?._private?.[this.#key]
+            if (entries) {
+                this.emit('loaded', entries)
+            }
+        })
+    }
+    async load() {
+        return this.#robot.brain.get(this.#key) ?? {}
+    }
+    async save(entries) {
+        this.#robot.brain.set(this.#key, entries)
+    }
+}
+
+export default BrainConversationReferenceStore
+export {
+    BrainConversationReferenceStore
+}
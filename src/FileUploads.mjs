@@ -0,0 +1,102 @@
+import { randomUUID } from 'node:crypto'
+import { extname } from 'node:path'
+
+const FILE_CONSENT_CARD = 'application/vnd.microsoft.teams.card.file.consent'
+const FILE_INFO_CARD = 'application/vnd.microsoft.teams.card.file.info'
+// OneDrive upload sessions take chunks in multiples of 320 KiB.
+const UPLOAD_CHUNK_SIZE = 10 * 320 * 1_024
+const IMAGE_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif'
+}
+
+// content - A Buffer, String, or a stream (anything async iterable) of the file's bytes.
+const readContent = async content => {
+    if (Buffer.isBuffer(content) || typeof content === 'string' || content instanceof Uint8Array) {
+        return Buffer.from(content)
+    }
+    if (typeof content?.[Symbol.asyncIterator] === 'function') {
+        const chunks = []
+        for await (const chunk of content) {
+            chunks.push(Buffer.from(chunk))
+        }
+        return Buffer.concat(chunks)
+    }
+    throw new Error('A file needs its content as a Buffer, String or stream')
+}
+
+const imageType = (name, contentType) => contentType?.startsWith('image/') ? contentType : IMAGE_TYPES[extname(name ?? '').toLowerCase()] ?? null
+
+const fileConsentCard = (name, sizeInBytes, description, uploadId) => ({
+    contentType: FILE_CONSENT_CARD,
+    name,
+    content: {
+        description: description ?? name,
+        sizeInBytes,
+        acceptContext: { uploadId },
+        declineContext: { uploadId }
+    }
+})
+
+// uploadInfo - What Teams sent back when the user accepted: name, contentUrl, uniqueId and fileType.
+const fileInfoCard = uploadInfo => ({
+    contentType: FILE_INFO_CARD,
+    name: uploadInfo.name,
+    contentUrl: uploadInfo.contentUrl,
+    content: {
+        uniqueId: uploadInfo.uniqueId,
+        fileType: uploadInfo.fileType
+    }
+})
+
+// Puts data into the OneDrive upload session Teams created in the user's OneDrive.
+const upload = async (uploadUrl, data) => {
+    for (let start = 0; start < data.length; start += UPLOAD_CHUNK_SIZE) {
+        const end = Math.min(start + UPLOAD_CHUNK_SIZE, data.length)
+        const response = await fetch(uploadUrl, {
+            method: 'PUT',
+            headers: { 'Content-Range': `bytes ${start}-${end - 1}/${data.length}` },
+            body: data.subarray(start, end)
+        })
+        if (!response.ok) {
+            const error = new Error(`Couldn't upload the file: ${response.status} ${response.statusText}`)
+            error.statusCode = response.status
+            throw error
+        }
+    }
+}
+
+// Files offered with a file consent card, kept until the user accepts or declines, or ttl runs out.
+class PendingUploads {
+    #uploads = new Map()
+    #ttl
+    constructor({ ttl }) {
+        this.#ttl = ttl
+    }
+    add(file, now = Date.now()) {
+        for (const [uploadId, pending] of this.#uploads) {
+            if (pending.expiresAt <= now) {
+                this.#uploads.delete(uploadId)
+            }
+        }
+        const uploadId = randomUUID()
+        this.#uploads.set(uploadId, { ...file, expiresAt: now + this.#ttl })
+        return uploadId
+    }
+    take(uploadId, now = Date.now()) {
+        const pending = this.#uploads.get(uploadId)
+        this.#uploads.delete(uploadId)
+        return pending && pending.expiresAt > now ? pending : null
+    }
+}
+
+export {
+    PendingUploads,
+    readContent,
+    imageType,
+    fileConsentCard,
+    fileInfoCard,
+    upload
+}
@@ -0,0 +1,319 @@
+import EventEmitter from 'node:events'
+import { createServer } from 'node:http'
+import { generateKeyPairSync, randomUUID, sign, verify } from 'node:crypto'
+import { ConfigurationBotFrameworkAuthentication } from 'botbuilder'
+
+const TOKEN_LIFETIME = 60 * 60
+const BOT_FRAMEWORK_SCOPE = 'https://api.botframework.com'
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]']
+
+let signingKey = null
+// One key for the whole process: the Bot Framework SDK caches the keys it fetched
+// from a metadata URL for an hour, so a restarted connector has to keep signing with it.
+const getSigningKey = () => {
+    signingKey ??= { kid: randomUUID(), ...generateKeyPairSync('rsa', { modulusLength: 2_048 }) }
+    return signingKey
+}
+
+const base64url = value => Buffer.from(JSON.stringify(value)).toString('base64url')
+
+const signToken = claims => {
+    const { kid, privateKey } = getSigningKey()
+    const now = Math.floor(Date.now() / 1_000)
+    const unsigned = `${base64url({ alg: 'RS256', typ: 'JWT', kid })}.${base64url({ iat: now, nbf: now, exp: now + TOKEN_LIFETIME, ...claims })}`
+    return `${unsigned}.${sign('sha256', Buffer.from(unsigned), privateKey).toString('base64url')}`
+}
+
+// Returns the claims of a token this connector signed, or null.
+const verifyToken = token => {
+    const [header, payload, signature] = `${token ?? ''}`.split('.')
+    if (!signature || !verify('sha256', Buffer.from(`${header}.${payload}`), getSigningKey().publicKey, Buffer.from(signature, 'base64url'))) {
+        return null
+    }
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString())
+    return claims.exp > Date.now() / 1_000 ? claims : null
+}
+
+const readBody = req => new Promise((resolve, reject) => {
+    const chunks = []
+    req.on('data', chunk => chunks.push(chunk))
+    req.on('error', reject)
+    req.on('end', () => {
+        const text = Buffer.concat(chunks).toString()
+        if (!text) {
+            return resolve(null)
+        }
+        if ((req.headers['content-type'] ?? '').includes('application/x-www-form-urlencoded')) {
+            return resolve(Object.fromEntries(new URLSearchParams(text)))
+        }
+        try {
+            resolve(JSON.parse(text))
+        } catch {
+            resolve(text)
+        }
+    })
+})
+
+const isLocalServiceUrl = serviceUrl => {
+    try {
+        const url = new URL(serviceUrl)
+        return url.protocol === 'http:' && LOOPBACK_HOSTS.includes(url.hostname)
+    } catch {
+        return false
+    }
+}
+
+// Gets tokens from the local connector like the SDK gets them from Azure AD. MSAL only
+// talks to https authorities, so this stands in for the SDK's credential factory.
+class LocalConnectorCredentialsFactory {
+    #tokenUrl
+    #appId
+    #appPassword
+    #token = null
+    constructor(serviceUrl, appId, appPassword) {
+        this.#tokenUrl = `${new URL(serviceUrl).origin}/botframework.com/oauth2/v2.0/token`
+        this.#appId = appId ?? ''
+        this.#appPassword = appPassword ?? ''
+    }
+    async isValidAppId(appId) {
+        return appId === this.#appId
+    }
+    async isAuthenticationDisabled() {
+        return !this.#appId
+    }
+    async createCredentials(appId, audience) {
+        const factory = this
+        return {
+            appId,
+            oAuthScope: audience,
+            async signRequest(webResource) {
+                if (await factory.isAuthenticationDisabled()) {
+                    return webResource
+                }
+                webResource.headers.set('Authorization', `Bearer ${await factory.#getToken(audience)}`)
+                return webResource
+            }
+        }
+    }
+    async #getToken(audience) {
+        if (this.#token && this.#token.expiresAt > Date.now()) {
+            return this.#token.accessToken
+        }
+        const response = await fetch(this.#tokenUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({
+                grant_type: 'client_credentials',
+                client_id: this.#appId,
+                client_secret: this.#appPassword,
+                scope: `${audience ?? BOT_FRAMEWORK_SCOPE}/.default`
+            })
+        })
+        if (!response.ok) {
+            throw new Error(`Local Bot Connector refused the app credentials: ${response.status}`)
+        }
+        const { access_token: accessToken, expires_in: expiresIn } = await response.json()
+        this.#token = { accessToken, expiresAt: Date.now() + (expiresIn - 60) * 1_000 }
+        return accessToken
+    }
+}
+
+// Points the CloudAdapter's token validation and token acquisition at a local connector.
+const localConnectorAuthentication = (serviceUrl, { appId, appPassword } = {}) => {
+    const origin = new URL(serviceUrl).origin
+    return new ConfigurationBotFrameworkAuthentication({
+        ToChannelFromBotLoginUrl: `${origin}/botframework.com`,
+        ToChannelFromBotOAuthScope: BOT_FRAMEWORK_SCOPE,
+        ToBotFromChannelTokenIssuer: origin,
+        ToBotFromChannelOpenIdMetadataUrl: `${origin}/.well-known/openid-configuration`,
+        ToBotFromEmulatorOpenIdMetadataUrl: `${origin}/.well-known/openid-configuration`,
+        OAuthUrl: origin,
+        ValidateAuthority: false
+    }, new LocalConnectorCredentialsFactory(origin, appId, appPassword))
+}
+
+// A stand-in for the Bot Connector service and its token endpoints, for end-to-end tests
+// without a network. Start it, point TEAMS_BOT_SERVICE_URL at its serviceUrl, and deliver
+// activities to the bot. Everything the bot calls is recorded in requests.
+//
+// appId       - The bot's app id. When set, incoming activities are signed for it, and the
+//               bot has to get a token with appId and appPassword to call the connector.
+// appPassword - The bot's client secret.
+//
+// Emits 'request' for every REST call and 'activity' for every activity the bot sends.
+class LocalBotConnector extends EventEmitter {
+    #server = null
+    #conversations = 0
+    #activities = 0
+    constructor({ appId = '', appPassword = '' } = {}) {
+        super()
+        this.appId = appId
+        this.appPassword = appPassword
+        this.serviceUrl = null
+        this.requests = []
+        // What GET .../members answers with.
+        this.members = []
+        // What GET /v3/attachments/:id/views/:view answers with, { contentType, data } by id.
+        this.attachments = new Map()
+    }
+    get issuer() {
+        return new URL(this.serviceUrl).origin
+    }
+    // The URL Teams would give an image a user pasted into a message.
+    attachmentUrl(id, view = 'original') {
+        return new URL(`v3/attachments/${encodeURIComponent(id)}/views/${view}`, this.serviceUrl).href
+    }
+    // Every activity the bot sent, replied, updated or started a conversation with.
+    get activities() {
+        return this.requests.filter(request => request.activity).map(request => request.activity)
+    }
+    async start(port = 0, host = '127.0.0.1') {
+        this.#server = createServer((req, res) => this.#handle(req, res).catch(error => {
+            res.writeHead(500, { 'Content-Type': 'application/json' }).end(JSON.stringify({ error: { code: 'ServiceError', message: `${error}` } }))
+        }))
+        await new Promise(resolve => this.#server.listen(port, host, resolve))
+        this.serviceUrl = `http://${host}:${this.#server.address().port}/`
+        return this.serviceUrl
+    }
+    async stop() {
+        if (this.#server) {
+            this.#server.closeAllConnections()
+            await new Promise(resolve => this.#server.close(resolve))
+            this.#server = null
+        }
+    }
+    // Posts an activity to the bot, like Teams does. Unsigned activities are only accepted
+    // by a bot without credentials.
+    async deliver(endpoint, activity, { signed = true } = {}) {
+        const body = {
+            channelId: 'msteams',
+            serviceUrl: this.serviceUrl,
+            timestamp: new Date().toISOString(),
+            ...activity
+        }
+        const headers = { 'Content-Type': 'application/json' }
+        if (signed) {
+            headers.Authorization = `Bearer ${signToken({ iss: this.issuer, aud: this.appId, serviceurl: body.serviceUrl })}`
+        }
+        return await fetch(endpoint, { method: 'POST', headers, body: JSON.stringify(body) })
+    }
+    // Resolves with the first activity the bot sends that matches predicate, including ones sent already.
+    waitForActivity(predicate = () => true, timeout = 5_000) {
+        const sent = this.activities.find(predicate)
+        if (sent) {
+            return Promise.resolve(sent)
+        }
+        return new Promise((resolve, reject) => {
+            const onActivity = activity => {
+                if (predicate(activity)) {
+                    clearTimeout(timer)
+                    this.off('activity', onActivity)
+                    resolve(activity)
+                }
+            }
+            const timer = setTimeout(() => {
+                this.off('activity', onActivity)
+                reject(new Error(`The bot didn't send a matching activity within ${timeout}ms`))
+            }, timeout)
+            this.on('activity', onActivity)
+        })
+    }
+    async #handle(req, res) {
+        const url = new URL(req.url, this.serviceUrl)
+        const body = await readBody(req)
+        const send = (status, result) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' }).end(result === undefined ? '' : JSON.stringify(result))
+        }
+        if (req.method === 'GET' && url.pathname === '/.well-known/openid-configuration') {
+            return send(200, { issuer: this.issuer, jwks_uri: `${this.issuer}/keys`, id_token_signing_alg_values_supported: ['RS256'] })
+        }
+        if (req.method === 'GET' && url.pathname === '/keys') {
+            const { kid, publicKey } = getSigningKey()
+            const { n, e } = publicKey.export({ format: 'jwk' })
+            return send(200, { keys: [{ kty: 'RSA', use: 'sig', kid, n, e, endorsements: ['msteams', 'emulator'] }] })
+        }
+        if (req.method === 'POST' && url.pathname.endsWith('/oauth2/v2.0/token')) {
+            if (body?.client_id !== this.appId || (this.appPassword && body?.client_secret !== this.appPassword)) {
+                return send(401, { error: 'invalid_client' })
+            }
+            return send(200, {
+                token_type: 'Bearer',
+                expires_in: TOKEN_LIFETIME,
+                ext_expires_in: TOKEN_LIFETIME,
+                access_token: signToken({ iss: this.issuer, aud: BOT_FRAMEWORK_SCOPE, appid: this.appId })
+            })
+        }
+
+        const [, version, resource, conversationId, collection, activityId] = url.pathname.split('/').map(decodeURIComponent)
+        if (version !== 'v3' || !['conversations', 'attachments'].includes(resource)) {
+            return send(404, { error: { code: 'NotFound', message: `${req.method} ${url.pathname}` } })
+        }
+        const authenticated = verifyToken(`${req.headers.authorization ?? ''}`.replace(/^Bearer\s+/i, '')) !== null
+        const request = { method: req.method, path: url.pathname, conversationId: conversationId ?? null, activityId: activityId ?? null, body, authenticated }
+        if (this.appId && !authenticated) {
+            this.#record(request)
+            return send(401, { error: { code: 'Unauthorized', message: 'Missing or invalid token' } })
+        }
+
+        if (resource === 'attachments') {
+            const attachment = this.attachments.get(conversationId)
+            this.#record({ ...request, conversationId: null, attachmentId: conversationId })
+            if (req.method !== 'GET' || !attachment) {
+                return send(404, { error: { code: 'NotFound', message: `${req.method} ${url.pathname}` } })
+            }
+            res.writeHead(200, { 'Content-Type': attachment.contentType ?? 'application/octet-stream' }).end(attachment.data)
+            return
+        }
+        if (req.method === 'POST' && !conversationId) {
+            const firstActivityId = body?.activity ? this.#nextActivityId() : undefined
+            // Starting a channel post creates a thread, anything else a new chat.
+            const channelId = body?.channelData?.channel?.id
+            const id = channelId ? `${channelId};messageid=${firstActivityId ?? this.#nextActivityId()}` : `a:local-conversation-${++this.#conversations}`
+            this.#record({ ...request, conversationId: id, activity: body?.activity ?? null })
+            return send(201, { id, activityId: firstActivityId, serviceUrl: this.serviceUrl })
+        }
+        if (collection === 'activities' && req.method === 'POST') {
+            this.#record({ ...request, activity: body })
+            return send(200, { id: this.#nextActivityId() })
+        }
+        if (collection === 'activities' && req.method === 'PUT' && activityId) {
+            this.#record({ ...request, activity: body })
+            return send(200, { id: activityId })
+        }
+        if (collection === 'activities' && req.method === 'DELETE' && activityId) {
+            this.#record(request)
+            return send(200)
+        }
+        if (req.method === 'GET' && collection === 'members') {
+            this.#record(request)
+            if (!activityId) {
+                return send(200, this.members)
+            }
+            const member = this.members.find(member => member.id === activityId)
+            return member ? send(200, member) : send(404, { error: { code: 'MemberNotFoundInConversation', message: activityId } })
+        }
+        if (req.method === 'GET' && collection === 'pagedmembers') {
+            this.#record(request)
+            return send(200, { members: this.members })
+        }
+        this.#record(request)
+        return send(404, { error: { code: 'NotFound', message: `${req.method} ${url.pathname}` } })
+    }
+    #nextActivityId() {
+        return `local-activity-${++this.#activities}`
+    }
+    #record(request) {
+        this.requests.push(request)
+        this.emit('request', request)
+        if (request.activity) {
+            this.emit('activity', request.activity, request)
+        }
+    }
+}
+
+export default LocalBotConnector
+export {
+    LocalBotConnector,
+    localConnectorAuthentication,
+    isLocalServiceUrl
+}
@@ -0,0 +1,194 @@
+import { readFileSync } from 'node:fs'
+import { zip } from './Zip.mjs'
+
+const TEMPLATE = new URL('../manifest.json', import.meta.url)
+const ICONS = {
+    color: { file: new URL('../icon-192.png', import.meta.url), size: 192 },
+    outline: { file: new URL('../icon-32.png', import.meta.url), size: 32 }
+}
+const GUID = /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/
+const SEMVER = /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)$/
+const HTTPS_URL = /^https:\/\/\S+$/
+const PACKAGE_NAME = /^[A-Za-z0-9_-]+(\.[A-Za-z0-9_-]+)*$/
+const ACCENT_COLOR = /^#[0-9a-fA-F]{6}$/
+const BOT_SCOPES = ['team', 'personal', 'groupchat']
+const MAX_COMMAND_LISTS = 3
+const MAX_COMMANDS = 10
+const MAX_COMMAND_TITLE = 32
+const MAX_COMMAND_DESCRIPTION = 128
+const MAX_COMPOSE_COMMAND_ID = 64
+const MAX_COMPOSE_PARAMETERS = 5
+const COMPOSE_COMMAND_TYPES = ['query', 'action']
+
+// A hubot-help line looks like "hubot deploy <app> - Deploys app". Teams puts the title in the
+// compose box when someone picks the command, so it stops where the arguments start.
+const helpCommand = (line, names) => {
+    const [usage, ...description] = line.split(' - ')
+    const prefix = new RegExp(`^@?(${names.map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})[:,]?\\s+`, 'i')
+    const title = usage.replace(prefix, '').split(/\s[<[]/)[0].trim()
+    return { title, description: description.join(' - ').trim() || title }
+}
+
+// The robot's commands as Teams command list entries: commands registered with robot.commands
+// first, then the ones hubot-help knows from script documentation.
+const robotCommands = robot => {
+    const names = ['hubot', robot.name, robot.alias].filter(Boolean)
+    const commands = [
+        ...(robot.commands?.listCommands?.() ?? []).map(command => ({ title: command.id, description: command.description || command.id })),
+        ...(robot.helpCommands?.() ?? []).map(line => helpCommand(line, names))
+    ]
+    const titles = new Set()
+    return commands.filter(command => {
+        if (!command.title || command.title.length > MAX_COMMAND_TITLE || titles.has(command.title)) {
+            return false
+        }
+        titles.add(command.title)
+        return true
+    }).map(command => ({ ...command, description: command.description.slice(0, MAX_COMMAND_DESCRIPTION) }))
+}
+
+// Builds the Teams app manifest from manifest.json, the robot's name and commands, and
+// TEAMS_BOT_* settings. options override the settings:
+//
+// appId       - The bot's app id, also used as the app's id (default TEAMS_BOT_APP_ID).
+// version     - The app's version (default TEAMS_BOT_MANIFEST_VERSION or 1.0.0).
+// packageName - e.g. com.example.hubot (default TEAMS_BOT_MANIFEST_PACKAGE_NAME or com.hubot.<robot name>).
+// developer   - { name, websiteUrl, privacyUrl, termsOfUseUrl } (default TEAMS_BOT_MANIFEST_DEVELOPER_*).
+// description - A String for both descriptions, or { short, full } (default TEAMS_BOT_MANIFEST_DESCRIPTION).
+// commands    - [{ title, description }] to list instead of the robot's own commands.
+// composeCommands - Message extension commands to list instead of the ones registered with robot.teams.
+const buildManifest = (robot, options = {}) => {
+    const env = process.env
+    const template = JSON.parse(readFileSync(TEMPLATE, 'utf8'))
+    const appId = options.appId ?? env.TEAMS_BOT_APP_ID
+    const description = options.description ?? env.TEAMS_BOT_MANIFEST_DESCRIPTION ?? template.description
+    const commands = (options.commands ?? robotCommands(robot)).slice(0, MAX_COMMANDS)
+    const composeCommands = (options.composeCommands ?? robot.teams?.manifestCommands?.() ?? []).slice(0, MAX_COMMANDS)
+    const [bot] = template.bots
+    return {
+        ...template,
+        id: appId,
+        version: options.version ?? env.TEAMS_BOT_MANIFEST_VERSION ?? '1.0.0',
+        packageName: options.packageName ?? env.TEAMS_BOT_MANIFEST_PACKAGE_NAME ?? `com.hubot.${robot.name.replace(/[^A-Za-z0-9_-]/g, '')}`,
+        developer: {
+            name: env.TEAMS_BOT_MANIFEST_DEVELOPER_NAME,
+            websiteUrl: env.TEAMS_BOT_MANIFEST_DEVELOPER_WEBSITE_URL,
+            privacyUrl: env.TEAMS_BOT_MANIFEST_DEVELOPER_PRIVACY_URL,
+            termsOfUseUrl: env.TEAMS_BOT_MANIFEST_DEVELOPER_TERMS_URL,
+            ...options.developer
+        },
+        name: {
+            short: robot.name,
+            full: robot.name
+        },
+        description: typeof description === 'string' ? { short: description.slice(0, 80), full: description } : description,
+        bots: [{
+            ...bot,
+            botId: appId,
+            commandLists: commands.length > 0 ? [{ scopes: bot.scopes, commands }] : []
+        }],
+        composeExtensions: composeCommands.length > 0 ? [{ botId: appId, commands: composeCommands }] : []
+    }
+}
+
+// Checks the manifest against the Teams manifest schema's rules for the fields this adapter
+// fills in. Returns a list of problems, empty when the manifest is valid.
+const validateManifest = manifest => {
+    const errors = []
+    const check = (valid, message) => {
+        if (!valid) {
+            errors.push(message)
+        }
+    }
+    const text = (value, path, maxLength, pattern = null) => {
+        if (typeof value !== 'string' || value.length === 0) {
+            errors.push(`${path} is required`)
+        } else if (/^<[^>]+>$/.test(value)) {
+            errors.push(`${path} still has a placeholder: ${value}`)
+        } else {
+            check(value.length <= maxLength, `${path} must be at most ${maxLength} characters`)
+            check(!pattern || pattern.test(value), `${path} isn't valid: ${value}`)
+        }
+    }
+    text(manifest.manifestVersion, 'manifestVersion', 16)
+    text(manifest.id, 'id', 36, GUID)
+    text(manifest.version, 'version', 256, SEMVER)
+    text(manifest.packageName, 'packageName', 64, PACKAGE_NAME)
+    text(manifest.developer?.name, 'developer.name', 32)
+    text(manifest.developer?.websiteUrl, 'developer.websiteUrl', 2_048, HTTPS_URL)
+    text(manifest.developer?.privacyUrl, 'developer.privacyUrl', 2_048, HTTPS_URL)
+    text(manifest.developer?.termsOfUseUrl, 'developer.termsOfUseUrl', 2_048, HTTPS_URL)
+    text(manifest.name?.short, 'name.short', 30)
+    text(manifest.name?.full, 'name.full', 100)
+    text(manifest.description?.short, 'description.short', 80)
+    text(manifest.description?.full, 'description.full', 4_000)
+    text(manifest.icons?.color, 'icons.color', 2_048)
+    text(manifest.icons?.outline, 'icons.outline', 2_048)
+    text(manifest.accentColor, 'accentColor', 7, ACCENT_COLOR)
+    for (const [i, bot] of (manifest.bots ?? []).entries()) {
+        text(bot.botId, `bots[${i}].botId`, 64, GUID)
+        check(bot.scopes?.length > 0 && bot.scopes.every(scope => BOT_SCOPES.includes(scope)), `bots[${i}].scopes must be some of ${BOT_SCOPES.join(', ')}`)
+        const commandLists = bot.commandLists ?? []
+        check(commandLists.length <= MAX_COMMAND_LISTS, `bots[${i}].commandLists can have at most ${MAX_COMMAND_LISTS} lists`)
+        for (const [j, list] of commandLists.entries()) {
+            const path = `bots[${i}].commandLists[${j}]`
+            check(list.scopes?.length > 0 && list.scopes.every(scope => bot.scopes?.includes(scope)), `${path}.scopes must be some of the bot's scopes`)
+            check(list.commands?.length <= MAX_COMMANDS, `${path}.commands can have at most ${MAX_COMMANDS} commands`)
+            for (const [k, command] of (list.commands ?? []).entries()) {
+                text(command.title, `${path}.commands[${k}].title`, MAX_COMMAND_TITLE)
+                text(command.description, `${path}.commands[${k}].description`, MAX_COMMAND_DESCRIPTION)
+            }
+        }
+    }
+    for (const [i, extension] of (manifest.composeExtensions ?? []).entries()) {
+        text(extension.botId, `composeExtensions[${i}].botId`, 64, GUID)
+        check(extension.commands?.length <= MAX_COMMANDS, `composeExtensions[${i}].commands can have at most ${MAX_COMMANDS} commands`)
+        for (const [j, command] of (extension.commands ?? []).entries()) {
+            const path = `composeExtensions[${i}].commands[${j}]`
+            text(command.id, `${path}.id`, MAX_COMPOSE_COMMAND_ID)
+            text(command.title, `${path}.title`, MAX_COMMAND_TITLE)
+            text(command.description, `${path}.description`, MAX_COMMAND_DESCRIPTION)
+            check(COMPOSE_COMMAND_TYPES.includes(command.type), `${path}.type must be one of ${COMPOSE_COMMAND_TYPES.join(', ')}`)
+            const parameters = command.parameters ?? []
+            check(parameters.length <= MAX_COMPOSE_PARAMETERS, `${path}.parameters can have at most ${MAX_COMPOSE_PARAMETERS} parameters`)
+            check(command.type !== 'query' || parameters.length > 0, `${path}.parameters needs a parameter for the search`)
+            for (const [k, parameter] of parameters.entries()) {
+                text(parameter.name, `${path}.parameters[${k}].name`, MAX_COMPOSE_COMMAND_ID)
+                text(parameter.title, `${path}.parameters[${k}].title`, MAX_COMMAND_TITLE)
+                text(parameter.description, `${path}.parameters[${k}].description`, MAX_COMMAND_DESCRIPTION)
+            }
+        }
+    }
+    return errors
+}
+
+const pngSize = data => data.length >= 24 && data.readUInt32BE(12) === 0x49484452
+    ? { width: data.readUInt32BE(16), height: data.readUInt32BE(20) }
+    : null
+
+// Zips the manifest with its icons, ready to upload to Teams. icons maps color and outline
+// to PNG file paths or Buffers, and defaults to the icons in this package.
+// Throws when the manifest or icons aren't valid.
+const packageManifest = (manifest, icons = {}) => {
+    const errors = validateManifest(manifest)
+    const files = [{ name: 'manifest.json', data: JSON.stringify(manifest, null, 4) }]
+    for (const [kind, { file, size }] of Object.entries(ICONS)) {
+        const icon = icons[kind] ?? file
+        const data = Buffer.isBuffer(icon) ? icon : readFileSync(icon)
+        const dimensions = pngSize(data)
+        if (dimensions?.width !== size || dimensions?.height !== size) {
+            errors.push(`icons.${kind} must be a ${size}x${size} PNG`)
+        }
+        files.push({ name: manifest.icons?.[kind] ?? `${kind}.png`, data })
+    }
+    if (errors.length > 0) {
+        throw new Error(`The Teams app manifest isn't valid:\n${errors.join('\n')}`)
+    }
+    return zip(files)
+}
+
+export {
+    buildManifest,
+    validateManifest,
+    packageManifest
+}
@@ -0,0 +1,70 @@
+const MENTION_TOKEN = /<at id="([^"]+)"(?: type="([^"]+)")?>(.*?)<\/at>/g
+// Teams marks channel and team mentions as conversations, and tags with a type.
+const CONVERSATION_IDENTITY_TYPES = ['channel', 'team']
+
+const mentioned = (id, name, type) => {
+    if (CONVERSATION_IDENTITY_TYPES.includes(type)) {
+        return { id, name, conversationIdentityType: type }
+    }
+    return type ? { id, name, type } : { id, name }
+}
+
+// Builds the token scripts put in outgoing text to @mention someone.
+// target is a Hubot User, or { id, name, type } where type is 'tag' for a tag (id is the tag's id),
+// 'channel' for a channel (the channel's conversation id) or 'team' (the team's id).
+const mention = target => {
+    const type = target.type ? ` type="${target.type}"` : ''
+    return `<at id="${target.id}"${type}>${target.name ?? target.id}</at>`
+}
+
+// Replaces mention tokens with the <at>name</at> markup Teams expects and
+// returns the mention entities Teams needs to actually notify people.
+const extractMentions = text => {
+    const entities = []
+    const replaced = text.replace(MENTION_TOKEN, (match, id, type, name) => {
+        const mentionText = `<at>${name}</at>`
+        if (!entities.some(entity => entity.text === mentionText && entity.mentioned.id === id)) {
+            entities.push({
+                type: 'mention',
+                text: mentionText,
+                mentioned: mentioned(id, name, type)
+            })
+        }
+        return mentionText
+    })
+    return { text: replaced, entities }
+}
+
+// Same as extractMentions, for every string in an Adaptive Card. Cards carry their
+// mention entities in msteams.entities.
+const extractCardMentions = card => {
+    const entities = []
+    const walk = value => {
+        if (typeof value === 'string') {
+            const result = extractMentions(value)
+            entities.push(...result.entities.filter(entity => !entities.some(existing => existing.text === entity.text && existing.mentioned.id === entity.mentioned.id)))
+            return result.text
+        }
+        if (Array.isArray(value)) {
+            return value.map(walk)
+        }
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, walk(item)]))
+        }
+        return value
+    }
+    const result = walk(card)
+    if (entities.length > 0) {
+        result.msteams = {
+            ...result.msteams,
+            entities: [...(result.msteams?.entities ?? []), ...entities]
+        }
+    }
+    return result
+}
+
+export {
+    mention,
+    extractMentions,
+    extractCardMentions
+}
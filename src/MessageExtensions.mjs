@@ -0,0 +1,172 @@
+import { CardFactory } from 'botbuilder'
+import { RichMessage } from './RichMessage.mjs'
+
+const COMMAND_CONTEXTS = ['compose', 'commandBox', 'message']
+const PREVIEW_CARDS = [CardFactory.contentTypes.heroCard, CardFactory.contentTypes.thumbnailCard]
+
+// A card as an attachment: a RichMessage from the builders, an Adaptive Card, or an attachment.
+const attachmentsOf = result => {
+    if (result instanceof RichMessage) {
+        return result.activity.attachments ?? []
+    }
+    if (result?.type === 'AdaptiveCard') {
+        return [CardFactory.adaptiveCard(result)]
+    }
+    return result?.contentType ? [result] : []
+}
+
+// Teams lists search results by their preview. Hero and thumbnail cards are their own preview,
+// other cards get a thumbnail card with their title or first line of text.
+const withPreview = attachment => {
+    if (attachment.preview) {
+        return attachment
+    }
+    if (PREVIEW_CARDS.includes(attachment.contentType)) {
+        return { ...attachment, preview: attachment }
+    }
+    const title = attachment.content?.title ?? attachment.content?.body?.find(element => element.type === 'TextBlock')?.text ?? attachment.name ?? ''
+    return { ...attachment, preview: { contentType: CardFactory.contentTypes.thumbnailCard, content: { title } } }
+}
+
+// A search command answers with a list of cards, or a String Teams shows instead of results.
+const queryResponse = result => {
+    if (typeof result === 'string') {
+        return { composeExtension: { type: 'message', text: result } }
+    }
+    const attachments = [result ?? []].flat().flatMap(attachmentsOf).map(withPreview)
+    return { composeExtension: { type: 'result', attachmentLayout: 'list', attachments } }
+}
+
+// fetchTask answers with the card to show in the dialog, or a String to show instead.
+const fetchTaskResponse = (command, result) => {
+    if (typeof result === 'string') {
+        return { task: { type: 'message', value: result } }
+    }
+    const [card] = attachmentsOf(result)
+    if (!card) {
+        throw new Error(`The fetchTask of ${command.id} didn't return a card`)
+    }
+    return {
+        task: {
+            type: 'continue',
+            value: { title: command.title, card, ...command.taskInfo }
+        }
+    }
+}
+
+// An action command's handler answers with a card to put in the compose box, a String to show
+// in the dialog, or nothing to just close it.
+const submitActionResponse = result => {
+    if (typeof result === 'string') {
+        return { task: { type: 'message', value: result } }
+    }
+    const attachments = attachmentsOf(result)
+    if (attachments.length === 0) {
+        return {}
+    }
+    return { composeExtension: { type: 'result', attachmentLayout: 'list', attachments } }
+}
+
+// The message extension commands scripts register, available as robot.teams. Teams calls them
+// from the compose box, the command box and a message's "..." menu, and they're listed in the
+// app manifest's composeExtensions.
+class MessageExtensions {
+    #commands = new Map()
+
+    // Registers a search command. handler gets a request and returns a list of cards.
+    //
+    // id      - The command's id.
+    // options - { title, description, parameters, initialRun, context }. parameters are
+    //           [{ name, title, description }], one search box named query by default.
+    //           initialRun runs the search before the user types anything.
+    // handler - An async function(request).
+    searchCommand(id, options, handler = undefined) {
+        if (typeof options === 'function') {
+            return this.searchCommand(id, {}, options)
+        }
+        this.#register({
+            id,
+            type: 'query',
+            title: options.title ?? id,
+            description: options.description ?? options.title ?? id,
+            context: options.context ?? ['compose', 'commandBox'],
+            initialRun: options.initialRun ?? false,
+            parameters: options.parameters ?? [{ name: 'query', title: 'Search', description: options.description ?? 'Search' }],
+            handler
+        })
+    }
+
+    // Registers an action command. Teams shows a dialog, then handler gets a request with what
+    // the user submitted and returns a card to insert.
+    //
+    // id      - The command's id.
+    // options - { title, description, parameters, fetchTask, taskInfo, context }. The dialog is a
+    //           form of the parameters, or the card an async fetchTask(request) returns.
+    //           taskInfo is { width, height } for the dialog.
+    // handler - An async function(request).
+    actionCommand(id, options, handler = undefined) {
+        if (typeof options === 'function') {
+            return this.actionCommand(id, {}, options)
+        }
+        this.#register({
+            id,
+            type: 'action',
+            title: options.title ?? id,
+            description: options.description ?? options.title ?? id,
+            context: options.context ?? ['compose', 'commandBox'],
+            parameters: options.parameters ?? [],
+            fetchTask: options.fetchTask ?? null,
+            taskInfo: options.taskInfo ?? {},
+            handler
+        })
+    }
+
+    #register(command) {
+        if (typeof command.handler !== 'function') {
+            throw new Error(`The ${command.id} command needs a handler`)
+        }
+        const contexts = command.context.filter(context => !COMMAND_CONTEXTS.includes(context))
+        if (contexts.length > 0) {
+            throw new Error(`The ${command.id} command has unknown contexts: ${contexts.join(', ')}`)
+        }
+        if (command.type === 'action' && !command.fetchTask && command.parameters.length === 0) {
+            throw new Error(`The ${command.id} command needs parameters or a fetchTask for its dialog`)
+        }
+        this.#commands.set(command.id, command)
+    }
+
+    // The command with this id and type ('query' or 'action'), or null.
+    command(id, type) {
+        const command = this.#commands.get(id)
+        return command?.type === type ? command : null
+    }
+
+    get commands() {
+        return [...this.#commands.values()]
+    }
+
+    // The commands as the app manifest lists them.
+    manifestCommands() {
+        return this.commands.map(command => ({
+            id: command.id,
+            type: command.type,
+            title: command.title,
+            description: command.description,
+            context: command.context,
+            ...(command.type === 'query' ? { initialRun: command.initialRun } : { fetchTask: typeof command.fetchTask === 'function' }),
+            parameters: command.parameters.map(({ name, title, description, inputType }) => ({
+                name,
+                title: title ?? name,
+                description: description ?? title ?? name,
+                inputType: inputType ?? 'text'
+            }))
+        }))
+    }
+}
+
+export {
+    MessageExtensions,
+    queryResponse,
+    fetchTaskResponse,
+    submitActionResponse
+}
@@ -0,0 +1,88 @@
+const FENCE = /^\s*(`{3,}|~{3,})/
+
+const fenceMarker = line => line.match(FENCE)[1]
+
+const MENTION = /<at\b[^>]*>.*?<\/at>/g
+
+// A break inside <at>Jane Doe</at> would leave the chunks without the text the mention entity names.
+const mentionAt = (line, index) => [...line.matchAll(MENTION)]
+    .map(match => [match.index, match.index + match[0].length])
+    .find(([start, end]) => start < index && index < end)
+
+const splitLongLine = (line, limit) => {
+    const pieces = []
+    let rest = line
+    while (rest.length > limit) {
+        // Prefer breaking on whitespace so words stay intact.
+        let index = rest.lastIndexOf(' ', limit)
+        while (index > 0 && mentionAt(rest, index)) {
+            index = rest.lastIndexOf(' ', mentionAt(rest, index)[0] - 1)
+        }
+        if (index > 0) {
+            pieces.push(rest.slice(0, index))
+            rest = rest.slice(index + 1)
+        } else {
+            const [start] = mentionAt(rest, limit) ?? []
+            const cut = start > 0 ? start : limit
+            pieces.push(rest.slice(0, cut))
+            rest = rest.slice(cut)
+        }
+    }
+    pieces.push(rest)
+    return pieces
+}
+
+// Splits text into chunks no longer than limit, breaking on line boundaries.
+// When a split lands inside a code fence, the chunk is closed with the fence and
+// the next chunk reopens it (including the language) so markdown stays balanced.
+const splitMessage = (text, limit) => {
+    if (text.length <= limit) {
+        return [text]
+    }
+    const chunks = []
+    let current = []
+    let size = 0
+    let fence = null
+    const push = line => {
+        size += (current.length > 0 ? 1 : 0) + line.length
+        current.push(line)
+    }
+    const flush = () => {
+        if (fence) {
+            current.push(fenceMarker(fence))
+        }
+        chunks.push(current.join('\n'))
+        current = []
+        size = 0
+        if (fence) {
+            push(fence)
+        }
+    }
+    for (const line of text.split('\n')) {
+        const nextFence = FENCE.test(line) ? (fence ? null : line) : fence
+        const budget = limit - (nextFence ? fenceMarker(nextFence).length + 1 : 0)
+        const pieceLimit = Math.max(budget - (nextFence ? nextFence.length + 1 : 0), 1)
+        for (const piece of splitLongLine(line, pieceLimit)) {
+            const added = (current.length > 0 ? 1 : 0) + piece.length
+            if (size + added > budget && current.length > (fence ? 1 : 0)) {
+                flush()
+            }
+            // Blank lines at a split would start the next chunk, or be all there is of it.
+            if (current.length === 0 && piece.trim() === '') {
+                continue
+            }
+            push(piece)
+        }
+        fence = nextFence
+    }
+    if (current.length > 0) {
+        chunks.push(current.join('\n'))
+    }
+    // Bot Connector rejects a message with no text.
+    return chunks.filter(chunk => chunk.trim() !== '')
+}
+
+export default splitMessage
+export {
+    splitMessage
+}
@@ -4,21 +4,141 @@ import {
     MessageFactory,
     CardFactory,
     TextFormatTypes,
-    TurnContext
+    ActivityTypes,
+    TurnContext,
+    TeamsInfo
 } from 'botbuilder'
 import { MessageActivity } from '@microsoft/teams.api'
+import { BrainConversationReferenceStore } from './ConversationReferenceStore.mjs'
+import { splitMessage } from './MessageSplitter.mjs'
+import { TeamsResponse } from './TeamsResponse.mjs'
+import { mention, extractMentions, extractCardMentions } from './Mentions.mjs'
+import { SendQueue } from './SendQueue.mjs'
+import { RecentActivities } from './RecentActivities.mjs'
+import { SentMessages } from './SentMessages.mjs'
+import { rosterOf, upsertMember, removeMembers, isMember, fetchMembers } from './Roster.mjs'
+import { DEFAULT_REDACT_FIELDS, redactHeaders, redactBody, truncate } from './RequestLog.mjs'
+import { AccessPolicy } from './AccessPolicy.mjs'
+import { channelConversationId, threadConversationId, threadIdOf } from './Rooms.mjs'
+import { normalizeAttachments, needsBotToken } from './Attachments.mjs'
+import { PendingUploads, readContent, imageType, fileConsentCard, fileInfoCard, upload } from './FileUploads.mjs'
+import { buildManifest, validateManifest, packageManifest } from './Manifest.mjs'
+import { RichMessage } from './RichMessage.mjs'
 
 const CONTENT_LENGTH_LIMIT = 2_000
+// Teams rejects bot messages over roughly 28KB, and a card can't be split like text can.
+const CARD_SIZE_LIMIT = 28 * 1_024
+const ONE_DAY = 24 * 60 * 60 * 1_000
+// How far lastSeen moves before an unchanged reference is saved again. Every Brain.set emits
+// 'loaded', so saving on every activity would rerun every brain script's loaded handler.
+const LAST_SEEN_RESOLUTION = 60 * 60 * 1_000
+// Inline images are sent as data URLs, so their base64 has to fit in a message.
+const INLINE_IMAGE_LIMIT = Math.floor(CARD_SIZE_LIMIT * 3 / 4) - 1_024
+// Bot Connector answers with these when the bot was removed from the conversation or it no longer exists.
+const STALE_CONVERSATION_STATUS_CODES = [403, 404]
+const BOT_ROUTES = ['/', '/api/messages']
+const MENTION_MARKUP = /<at\b[^>]*>(.*?)<\/at>/g
+
+// Text that happens to be JSON, like "42" or a logged object, stays text.
+const parseAdaptiveCard = message => {
+    try {
+        const card = JSON.parse(message)
+        return card?.type === 'AdaptiveCard' ? card : null
+    } catch {
+        return null
+    }
+}
+
+// Bot Framework revokes a turn context once its turn is over, and a revoked proxy throws on any use.
+const isRevoked = context => {
+    try {
+        Reflect.ownKeys(context)
+        return false
+    } catch {
+        return true
+    }
+}
+
+// 1:1 chats the bot started are stored by user, since that's how scripts address them.
+const personalConversationKey = userId => `personal:${userId}`
+
+// Lets the Bot Framework adapter write the response unless the request was already acknowledged.
+const unlessAcknowledged = res => ({
+    header(...args) {
+        return res.headersSent ? undefined : res.header(...args)
+    },
+    status(code) {
+        if (!res.headersSent) {
+            res.status(code)
+        }
+        return this
+    },
+    send(body) {
+        if (!res.headersSent) {
+            res.send(body)
+        }
+        return this
+    },
+    end() {
+        if (!res.writableEnded) {
+            res.end()
+        }
+        return this
+    }
+})
 
 class MsTeamsAdapter extends Adapter {
     #client
     #activityHandler
-    constructor(robot, activityHandler = new EventEmitter(), client = new EventEmitter()) {
+    #conversationReferenceStore
+    #conversationReferencesLastSeen = {}
+    #conversationReferenceTtl
+    #sendQueue
+    #recentActivities
+    #acknowledgeTimeout
+    #requestLog
+    #incomingWebhooks
+    #accessPolicy
+    #refusalMessage
+    #pendingUploads
+    #sentMessages
+    #rosterSyncInterval
+    #rosterSyncTimer = null
+    constructor(robot, activityHandler = new EventEmitter(), client = new EventEmitter(), options = {}) {
         super(robot)
         this.#activityHandler = activityHandler
         this.#client = client
         this.#client.onTurnError = this.#onTurnError
         this.conversationReferences = {}
+        this.robot.Response = TeamsResponse
+        this.#conversationReferenceStore = options.conversationReferenceStore ?? new BrainConversationReferenceStore(robot)
+        this.#conversationReferenceTtl = Number(process.env.TEAMS_BOT_CONVERSATION_REFERENCE_TTL_DAYS ?? 30) * ONE_DAY
+        this.#sendQueue = new SendQueue({
+            retries: Number(process.env.TEAMS_BOT_SEND_RETRIES ?? 3),
+            baseDelay: Number(process.env.TEAMS_BOT_SEND_RETRY_DELAY_MS ?? 1_000),
+            maxDelay: Number(process.env.TEAMS_BOT_SEND_RETRY_MAX_DELAY_MS ?? 30_000)
+        })
+        this.#recentActivities = new RecentActivities({
+            ttl: Number(process.env.TEAMS_BOT_DEDUPLICATION_TTL_SECONDS ?? 600) * 1_000,
+            maxSize: Number(process.env.TEAMS_BOT_DEDUPLICATION_MAX_ENTRIES ?? 10_000)
+        })
+        this.#sentMessages = new SentMessages({ maxSize: Number(process.env.TEAMS_BOT_SENT_MESSAGES_MAX_ENTRIES ?? 1_000) })
+        this.#rosterSyncInterval = Number(process.env.TEAMS_BOT_ROSTER_SYNC_INTERVAL_HOURS ?? 24) * 60 * 60 * 1_000
+        this.#acknowledgeTimeout = Number(process.env.TEAMS_BOT_ACKNOWLEDGE_TIMEOUT_MS ?? 1_000)
+        this.#incomingWebhooks = Object.fromEntries((process.env.TEAMS_BOT_INCOMING_WEBHOOKS ?? '').split(',')
+            .filter(entry => entry.includes('='))
+            .map(entry => [entry.slice(0, entry.indexOf('=')).trim(), entry.slice(entry.indexOf('=') + 1).trim()]))
+        this.#accessPolicy = options.accessPolicy ?? AccessPolicy.fromEnvironment()
+        this.#refusalMessage = process.env.TEAMS_BOT_REFUSAL_MESSAGE ?? 'Sorry, I\'m not available here.'
+        this.#pendingUploads = new PendingUploads({ ttl: Number(process.env.TEAMS_BOT_FILE_CONSENT_TTL_MINUTES ?? 60) * 60 * 1_000 })
+        this.#requestLog = {
+            fields: (process.env.TEAMS_BOT_LOG_REDACT_FIELDS ?? DEFAULT_REDACT_FIELDS.join(',')).split(',').map(field => field.trim()).filter(Boolean),
+            mode: process.env.TEAMS_BOT_LOG_REDACT_MODE ?? 'hash',
+            maxLength: Number(process.env.TEAMS_BOT_LOG_MAX_LENGTH ?? 2_000)
+        }
+        this.#sendQueue.on('retry', (error, attempt, delay) => {
+            this.robot.logger.warn(`${this.robot.name}: ${error}, retrying in ${Math.round(delay)}ms (attempt ${attempt})`)
+        })
     }
     async #onTurnError(context, error) {
         this.robot.logger.info(`[onTurnError] ${error} ${JSON.stringify(context)}`)
@@ -26,124 +146,725 @@ class MsTeamsAdapter extends Adapter {
         await context.sendActivity('The bot encountered an error.')
     }
 
+    #isStale(lastSeen, now = Date.now()) {
+        return this.#conversationReferenceTtl > 0 && now - lastSeen > this.#conversationReferenceTtl
+    }
+    #mergeConversationReferences(entries) {
+        for (const [id, entry] of Object.entries(entries ?? {})) {
+            if (!entry?.reference || this.#isStale(entry.lastSeen)) {
+                continue
+            }
+            if ((this.#conversationReferencesLastSeen[id] ?? 0) >= entry.lastSeen) {
+                continue
+            }
+            this.conversationReferences[id] = entry.reference
+            this.#conversationReferencesLastSeen[id] = entry.lastSeen
+        }
+    }
+    async #saveConversationReferences() {
+        const now = Date.now()
+        const entries = {}
+        for (const [id, reference] of Object.entries(this.conversationReferences)) {
+            const lastSeen = this.#conversationReferencesLastSeen[id] ??= now
+            if (this.#isStale(lastSeen, now)) {
+                delete this.conversationReferences[id]
+                delete this.#conversationReferencesLastSeen[id]
+                continue
+            }
+            entries[id] = { reference, lastSeen }
+        }
+        try {
+            await this.#conversationReferenceStore.save(entries)
+        } catch (e) {
+            this.robot.logger.error(`Failed to save conversation references: ${e}`)
+        }
+    }
+    async loadConversationReferences() {
+        try {
+            this.#mergeConversationReferences(await this.#conversationReferenceStore.load())
+        } catch (e) {
+            this.robot.logger.error(`Failed to load conversation references: ${e}`)
+        }
+        this.robot.logger.debug(`Loaded ${Object.keys(this.conversationReferences).length} conversation references`)
+    }
+    // The activityId changes with every activity and isn't needed to send proactively, so it doesn't
+    // count as a change.
+    async storeConversationReference(id, reference) {
+        const { activityId, ...current } = this.conversationReferences[id] ?? {}
+        const { activityId: nextActivityId, ...next } = reference
+        if (this.conversationReferences[id] && JSON.stringify(current) === JSON.stringify(next) && !this.#lastSeenMoved(id)) {
+            return
+        }
+        this.conversationReferences[id] = reference
+        this.#conversationReferencesLastSeen[id] = Date.now()
+        await this.#saveConversationReferences()
+    }
+    // A room the bot only posts to stays in use as long as the posts get through.
+    async #refreshLastSeen(id) {
+        if (!this.conversationReferences[id] || !this.#lastSeenMoved(id)) {
+            return
+        }
+        this.#conversationReferencesLastSeen[id] = Date.now()
+        await this.#saveConversationReferences()
+    }
+    #lastSeenMoved(id, now = Date.now()) {
+        return now - (this.#conversationReferencesLastSeen[id] ?? 0) >= LAST_SEEN_RESOLUTION
+    }
+    async removeConversationReference(id) {
+        delete this.conversationReferences[id]
+        delete this.#conversationReferencesLastSeen[id]
+        await this.#saveConversationReferences()
+    }
+
     async send(envelope, ...strings) {
-        // Handle messageRoom calls where envelope only has room property
-        if (envelope.room && !envelope.user) {
+        // Outside a turn, a room is where the message goes, whoever the user is.
+        if (envelope.room && !this.#hasDelegate(envelope)) {
             return await this.sendToRoom(envelope.room, ...strings)
         }
+        // A user from the brain (or anywhere outside a turn) with no room gets a direct message
+        if (!this.#hasDelegate(envelope)) {
+            return await this.sendToUser(envelope.user, ...strings)
+        }
         // Handle regular send calls with user.message
         const responses = await this.sendWithDelegate(envelope.user.message, envelope, ...strings)
         this.emit('send', envelope, responses)
         return responses
     }
+    #hasDelegate(envelope) {
+        return typeof this.#turnContext(envelope)?.sendActivity === 'function'
+    }
+    // The context of the turn the envelope's message came in, or null once that turn is over.
+    // Scripts keep res around, e.g. to update a message when a build finishes.
+    #turnContext(envelope) {
+        const context = envelope.user?.message
+        return context && !isRevoked(context) ? context : null
+    }
+    // user is a Hubot User (with the Teams id, and aadObjectId when known), or an id to look up in the brain.
+    async sendToUser(user, ...strings) {
+        if (typeof user === 'string') {
+            user = Object.values(this.robot.brain.users()).find(brainUser => brainUser.aadObjectId === user)
+                ?? this.robot.brain.data.users[user]
+                ?? { id: user }
+        }
+        const referenceKey = personalConversationKey(user.id)
+        const conversationReference = this.#findPersonalConversationReference(user)
+        if (this.#refuses(user.id, {
+            tenantId: conversationReference?.conversation?.tenantId ?? user.tenantId ?? process.env.TEAMS_BOT_TENANT_ID,
+            conversationType: 'personal'
+        })) {
+            return []
+        }
+        const messages = this.#buildActivities(strings)
+        if (conversationReference) {
+            const responses = await this.#sendWithReference(referenceKey, conversationReference, messages)
+            this.emit('send', { user }, responses)
+            return responses
+        }
 
-    async sendToRoom(room, ...strings) {
-        const serviceUrl = process.env.TEAMS_BOT_SERVICE_URL || `https://smba.trafficmanager.net/amer/${process.env.TEAMS_BOT_TENANT_ID}/`
+        // Someone who left all of the bot's teams and chats isn't messaged out of the blue.
+        if (!isMember(this.robot.brain.data.users[user.id] ?? user)) {
+            this.robot.logger.error(`Not sending to ${user.id}: they're no longer in any of the bot's teams or chats`)
+            return []
+        }
+        this.robot.logger.debug(`No personal conversation found for user, creating a new one: ${user.id}`)
+        const member = user.aadObjectId ? { id: user.id, aadObjectId: user.aadObjectId } : { id: user.id }
+        const tenantId = user.tenantId ?? process.env.TEAMS_BOT_TENANT_ID
+        const serviceUrl = this.#serviceUrl(Object.values(this.conversationReferences).find(reference => reference?.serviceUrl))
+        const { responses } = await this.#createConversation({
+            isGroup: false,
+            members: [member],
+            tenantId,
+            channelData: { tenant: { id: tenantId } }
+        }, messages, serviceUrl, { key: referenceKey, tenantId })
+        this.emit('send', { user }, responses)
+        return responses
+    }
+    #findPersonalConversationReference(user) {
+        return this.conversationReferences[personalConversationKey(user.id)]
+            // The user may have messaged the bot directly already.
+            ?? Object.values(this.conversationReferences).find(reference => reference?.conversation?.conversationType === 'personal'
+                && (reference.user?.id === user.id || (user.aadObjectId && reference.user?.aadObjectId === user.aadObjectId)))
+            ?? null
+    }
 
+    async sendToRoom(room, ...strings) {
+        const incomingWebhook = this.#incomingWebhookUrl(room)
+        if (incomingWebhook) {
+            const { responses } = await this.#sendActivities(this.#incomingWebhookDelegate(room, incomingWebhook), this.#buildActivities(strings))
+            this.emit('send', { room }, responses)
+            return responses
+        }
+        const roomId = this.#roomId(room)
         // conversationReferences is keyed by the conversation id.
-        const conversationReference = this.conversationReferences[room.channelData.channel.id]
+        const conversationReference = this.#findConversationReference(roomId)
+        const target = this.#roomTarget(room, conversationReference)
+        if (this.#refuses(roomId, target)) {
+            return []
+        }
+        const messages = this.#buildActivities(strings)
         if (!conversationReference) {
-            this.robot.logger.error(`No conversation reference found for room, creating a new one: ${room.channelData.channel.id}`)
-            const conversationParameters = {
-                isGroup: true,
-                bot: { id: process.env.TEAMS_BOT_APP_ID, name: this.robot.name},
-                serviceUrl: serviceUrl,
-                channelData: room.channelData,
-                activity: MessageFactory.text(strings.join('\n')),
-                tenantId: process.env.TEAMS_BOT_TENANT_ID
-            }
-            // The conversationReferences key is the conversation id.
-            // botAppId, channelId, serviceUrl, audience, conversationParameters, logic
+            this.robot.logger.error(`No conversation reference found for room, creating a new one: ${roomId}`)
+            const { responses } = await this.#createConversation({ channelData: room.channelData ?? { channel: { id: room.channelId ?? roomId } } }, messages, this.#serviceUrl(null), target)
+            this.robot.logger.debug(`Created new conversation reference for room: ${JSON.stringify(room, null, 2)}`)
+            return responses
+        }
+
+        const responses = await this.#sendWithReference(roomId, conversationReference, messages)
+        this.emit('send', { room }, responses)
+        return responses
+    }
+    // A room named in TEAMS_BOT_INCOMING_WEBHOOKS, or an incoming webhook URL itself.
+    #incomingWebhookUrl(room) {
+        if (typeof room !== 'string') {
+            return null
+        }
+        return this.#incomingWebhooks[room] ?? (/^https?:\/\//.test(room) ? room : null)
+    }
+    // Incoming webhooks take the text, or the card attachments, of a message and nothing else.
+    #incomingWebhookDelegate(room, url) {
+        return {
+            activity: { conversation: { id: room } },
+            async sendActivity(activity) {
+                const payload = activity.attachments ? { type: activity.type, attachments: activity.attachments } : { text: activity.text }
+                const response = await fetch(url, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(payload)
+                })
+                if (!response.ok) {
+                    const error = new Error(`Incoming webhook responded with ${response.status} ${response.statusText}`)
+                    error.statusCode = response.status
+                    error.response = response
+                    throw error
+                }
+                return {}
+            }
+        }
+    }
+    // Posts into an existing thread (the root post's id) of a channel.
+    async sendToThread(room, threadId, ...strings) {
+        const conversationId = threadConversationId(this.#roomId(room), threadId)
+        const conversationReference = this.#findConversationReference(conversationId)
+        if (!conversationReference) {
+            this.robot.logger.error(`No conversation reference found for thread: ${conversationId}`)
+            return []
+        }
+        if (this.#refuses(conversationId, this.#roomTarget(room, conversationReference))) {
+            return []
+        }
+        const responses = await this.#sendWithReference(conversationId, conversationReference, this.#buildActivities(strings))
+        this.emit('send', { room, threadId }, responses)
+        return responses
+    }
+    // Starts a new top level post in a channel. Returns the new thread's id with the responses.
+    async startThread(room, subject, ...strings) {
+        const channelData = { channel: { id: channelConversationId(this.#roomId(room)) } }
+        const parameters = subject ? { channelData, topicName: subject } : { channelData }
+        const conversationReference = this.#findConversationReference(channelData.channel.id)
+        const target = this.#roomTarget(room, conversationReference)
+        if (this.#refuses(channelData.channel.id, target)) {
+            return { threadId: null, responses: [] }
+        }
+        const serviceUrl = this.#serviceUrl(conversationReference)
+        const { conversationId, responses } = await this.#createConversation(parameters, this.#buildActivities(strings), serviceUrl, target)
+        const threadId = threadIdOf(conversationId)
+        this.emit('send', { room, threadId }, responses)
+        return { threadId, responses }
+    }
+    async replyInThread(envelope, ...strings) {
+        const activity = this.#turnContext(envelope)?.activity
+        if (activity?.conversation?.conversationType !== 'channel' || threadIdOf(activity.conversation.id)) {
+            return await this.reply(envelope, ...strings)
+        }
+        // The activity's conversation is the channel itself, so the thread is rooted at the activity.
+        const conversationId = threadConversationId(activity.conversation.id, activity.replyToId ?? activity.id)
+        const conversationReference = TurnContext.getConversationReference(activity)
+        const responses = await this.#sendWithReference(conversationId, {
+            ...conversationReference,
+            conversation: { ...conversationReference.conversation, id: conversationId }
+        }, this.#buildActivities(strings))
+        this.emit('reply', envelope, responses)
+        return responses
+    }
+    // The thread the envelope's message is in, null outside of channels.
+    threadId(envelope) {
+        const activity = this.#turnContext(envelope)?.activity
+        if (activity?.conversation?.conversationType !== 'channel') {
+            return null
+        }
+        return threadIdOf(activity.conversation.id) ?? activity.replyToId ?? activity.id
+    }
+    // Proactive sends only know what the room object and the stored reference say about the conversation.
+    // Without a reference, the room is a channel the bot would start a new conversation in.
+    // room is an id, a roomInfo from a message's user, or an object with the channelData of an activity.
+    #roomTarget(room, conversationReference) {
+        const roomInfo = typeof room === 'string' ? {} : room
+        const channelData = roomInfo.channelData ?? {}
+        const conversation = conversationReference?.conversation ?? {}
+        const conversationType = conversation.conversationType ?? roomInfo.conversationType ?? 'channel'
+        return {
+            tenantId: channelData.tenant?.id ?? roomInfo.tenantId ?? conversationReference?.tenantId ?? conversation.tenantId ?? process.env.TEAMS_BOT_TENANT_ID,
+            teamId: channelData.team?.id ?? roomInfo.teamId ?? conversationReference?.teamId ?? undefined,
+            channelId: channelData.channel?.id ?? roomInfo.channelId ?? (conversationType === 'channel' ? channelConversationId(conversation.id ?? this.#roomId(room)) : undefined),
+            conversationType
+        }
+    }
+    #refuses(conversationId, target) {
+        const refusal = this.#accessPolicy.refusal(target)
+        if (refusal) {
+            this.robot.logger.error(`Not sending to ${conversationId}: ${refusal}`)
+        }
+        return refusal !== null
+    }
+    #roomId(room) {
+        return typeof room === 'string' ? room : room.id ?? room.channelData.channel.id
+    }
+    #findConversationReference(conversationId) {
+        if (this.conversationReferences[conversationId]) {
+            return this.conversationReferences[conversationId]
+        }
+        // Any reference from the same channel (e.g. from one of its threads) can reach the channel or another thread in it.
+        const channelId = channelConversationId(conversationId)
+        const [, reference] = Object.entries(this.conversationReferences).find(([id]) => channelConversationId(id) === channelId) ?? []
+        if (!reference) {
+            return null
+        }
+        return {
+            ...reference,
+            activityId: undefined,
+            conversation: { ...reference.conversation, id: conversationId }
+        }
+    }
+    // CloudAdapter only implements continueConversationAsync, continueConversation is the older BotAdapter API.
+    async #continueConversation(conversationReference, logic) {
+        if (this.#client.continueConversationAsync) {
+            return await this.#client.continueConversationAsync(process.env.TEAMS_BOT_APP_ID, conversationReference, logic)
+        }
+        return await this.#client.continueConversation(conversationReference, logic)
+    }
+    async #sendWithReference(conversationId, conversationReference, messages) {
+        let result = { responses: [], failures: [] }
+        await this.#continueConversation(conversationReference, async (context) => {
+            result = await this.#sendActivities(context, messages)
+        })
+        if (this.conversationReferences[conversationId] && result.failures.some(e => STALE_CONVERSATION_STATUS_CODES.includes(e.statusCode))) {
+            this.robot.logger.info(`Removing stale conversation reference for room: ${conversationId}`)
+            await this.removeConversationReference(conversationId)
+        } else if (result.failures.length === 0 && result.responses.length > 0) {
+            await this.#refreshLastSeen(conversationId)
+        }
+        return result.responses
+    }
+    #serviceUrl(conversationReference) {
+        return conversationReference?.serviceUrl
+            ?? (process.env.TEAMS_BOT_SERVICE_URL || `https://smba.trafficmanager.net/amer/${process.env.TEAMS_BOT_TENANT_ID}/`)
+    }
+    // parameters are the ConversationParameters for the kind of conversation, e.g. channelData
+    // and topicName for a channel post, or members for a 1:1 chat. The reference is stored under
+    // key, or the new conversation's id, with the teamId and tenantId it's in.
+    async #createConversation(parameters, messages, serviceUrl, { key = null, teamId = undefined, tenantId = undefined } = {}) {
+        // Text that is only whitespace builds no activities.
+        messages = messages.filter(activities => activities.length > 0)
+        if (messages.length === 0) {
+            return { conversationId: null, responses: [] }
+        }
+        // A channel post is created with its root post, the rest are sent into its thread. A chat
+        // is created empty and everything is sent into it, so every message's id comes back.
+        const rootPost = parameters.channelData?.channel ? messages[0].shift() : undefined
+        const conversationParameters = {
+            isGroup: true,
+            bot: { id: process.env.TEAMS_BOT_APP_ID, name: this.robot.name},
+            serviceUrl: serviceUrl,
+            activity: rootPost,
+            tenantId: process.env.TEAMS_BOT_TENANT_ID,
+            ...parameters
+        }
+        let conversationId = null
+        let responses = []
+        // The conversationReferences key is the conversation id.
+        // botAppId, channelId, serviceUrl, audience, conversationParameters, logic
+        try {
             await this.#client.createConversationAsync(process.env.TEAMS_BOT_APP_ID,
                 'msteams', // channel here means which platform is this in. Slack, MSTeams, etc.
                 serviceUrl,
                 null, // audience
                 conversationParameters,
                 async turnContext => {
-                    this.conversationReferences[turnContext.activity.conversation.id] = turnContext.activity.conversation
-                    await turnContext.sendActivity(strings.join('\n'))
+                    conversationId = turnContext.activity.conversation.id
+                    await this.storeConversationReference(key ?? conversationId, {
+                        ...TurnContext.getConversationReference(turnContext.activity),
+                        teamId,
+                        tenantId: tenantId ?? conversationParameters.tenantId
+                    })
+                    // The connector's response has the root post's id, but the SDK only passes on the
+                    // conversation id, which carries it as the thread.
+                    const rootPostId = rootPost ? threadIdOf(conversationId) : null
+                    if (rootPostId) {
+                        responses.push({ id: rootPostId })
+                        this.#sentMessages.add(rootPostId, { id: rootPostId, room: conversationId, text: rootPost.text ?? null, sentAt: new Date() })
+                    }
+                    responses.push(...(await this.#sendActivities(turnContext, messages)).responses)
                 }
             )
-            this.robot.logger.debug(`Created new conversation reference for room: ${JSON.stringify(room, null, 2)}`)
-            return []
+        } catch (e) {
+            // e.g. a 403 when the user hasn't installed the bot, or the channel doesn't exist.
+            this.#logSendError(e)
+            this.emit('dropped', rootPost ?? messages[0][0], e, conversationId)
         }
-        
-        const responses = []
-        await this.#client.continueConversation(conversationReference, async (context) => {
-            for await (let message of strings) {
-                let teamsMessage = MessageFactory.text(message, message)
-                let card = null
-
-                teamsMessage.textFormat = TextFormatTypes.Markdown
-                if (/<\/(.*)>/.test(message)) {
-                    teamsMessage.textFormat = TextFormatTypes.Xml
-                }
-                
-                try {
-                    card = JSON.parse(message)
-                    teamsMessage = {
-                        attachments: [ CardFactory.adaptiveCard(card) ]
-                    }
-                } catch(e) {
-                    this.robot.logger.debug(`message isn't a card: ${e}`)
-                }
-                
-                try {
-                    const response = await context.sendActivity(teamsMessage)
-                    if (response) {
-                        responses.push(response)
-                    }
-                } catch (e) {
-                    if(e.statusCode && e.statusCode === 401){
-                        this.robot.logger.error(`${this.robot.name}: Unauthorized, check TEAMS_BOT_APP_ID, TEAMS_BOT_CLIENT_SECRET, TEAMS_BOT_APP_TYPE, and TEAMS_BOT_TENANT_ID`)
-                    } else {
-                        this.robot.logger.error(`${this.robot.name}: ${e}`)
-                    }
-                }
-            }
-        })
-        
-        this.emit('send', { room }, responses)
-        return responses
+        return { conversationId, responses }
     }
     async reply(envelope, ...strings) {
+        if (envelope.room && !this.#hasDelegate(envelope)) {
+            return await this.sendToRoom(envelope.room, ...strings)
+        }
+        if (!this.#hasDelegate(envelope)) {
+            return await this.sendToUser(envelope.user, ...strings)
+        }
         const responses = await this.sendWithDelegate(envelope.user.message, envelope, ...strings)
         this.emit('reply', envelope, responses)
         return responses
     }
     async sendWithDelegate(delegate, envelope, ...strings) {
-        const responses = []
-        for await (let message of strings) {
-            let teamsMessage = MessageFactory.text(message, message)
-            let card = null
-
-            teamsMessage.textFormat = TextFormatTypes.Markdown
-            if (/<\/(.*)>/.test(message)) {
-                teamsMessage.textFormat = TextFormatTypes.Xml
+        const { responses } = await this.#sendActivities(delegate, this.#buildActivities(strings))
+        return responses
+    }
+    // A String is text, unless it's the JSON of an Adaptive Card. Anything else is built with RichMessage.
+    #toActivities(message) {
+        if (message instanceof RichMessage) {
+            return this.#richActivities(message.activity)
+        }
+        const card = parseAdaptiveCard(message)
+        if (card) {
+            return this.#richActivities({ attachments: [ CardFactory.adaptiveCard(card) ] })
+        }
+        const text = `${message}`
+        // <at> mention markup doesn't make the rest of the message XML.
+        const textFormat = /<\/(.*)>/.test(text.replace(MENTION_MARKUP, '$1')) ? TextFormatTypes.Xml : TextFormatTypes.Markdown
+        return this.#textActivities({ text, textFormat })
+    }
+    // Long text is split into several activities. Suggested actions go on the last one.
+    #textActivities({ text: message, textFormat, ...rest }) {
+        const { text, entities } = extractMentions(message)
+        const chunks = splitMessage(text, CONTENT_LENGTH_LIMIT)
+        return chunks.map((chunk, i) => {
+            const teamsMessage = MessageFactory.text(chunk, chunk)
+            teamsMessage.textFormat = textFormat
+            const chunkEntities = entities.filter(entity => chunk.includes(entity.text))
+            if (chunkEntities.length > 0) {
+                teamsMessage.entities = chunkEntities
             }
-            
+            return i === chunks.length - 1 ? { ...teamsMessage, ...rest } : teamsMessage
+        })
+    }
+    // A message with cards is sent as one activity, so it has to fit in one.
+    #richActivities(activity) {
+        if (!activity.attachments?.length) {
+            return this.#textActivities({ textFormat: TextFormatTypes.Markdown, ...activity, text: activity.text ?? '' })
+        }
+        const { text, entities } = extractMentions(activity.text ?? '')
+        const attachments = activity.attachments.map(attachment => attachment.contentType === CardFactory.contentTypes.adaptiveCard
+            ? { ...attachment, content: extractCardMentions(attachment.content) }
+            : attachment)
+        const teamsMessage = { type: ActivityTypes.Message, ...activity, attachments }
+        if (text) {
+            teamsMessage.text = text
+        } else {
+            delete teamsMessage.text
+        }
+        if (entities.length > 0) {
+            teamsMessage.entities = entities
+        }
+        const size = Buffer.byteLength(JSON.stringify(attachments))
+        if (size > CARD_SIZE_LIMIT) {
+            const cards = attachments.length > 1 ? 'Cards are' : attachments[0].contentType === CardFactory.contentTypes.adaptiveCard ? 'Adaptive card is' : 'Card is'
+            throw new Error(`${cards} ${size} bytes, which is more than the ${CARD_SIZE_LIMIT} bytes Teams accepts in a message. Split it into smaller cards.`)
+        }
+        return [teamsMessage]
+    }
+    // Returns the token to put in a message to @mention a Hubot User, or { id, name, type } for a tag.
+    mention(target) {
+        return mention(target)
+    }
+    // One array of activities per string; long text is split into several activities.
+    #buildActivities(strings) {
+        const messages = []
+        for (const message of strings) {
             try {
-                card = JSON.parse(message)
-                teamsMessage = {
-                    attachments: [ CardFactory.adaptiveCard(card) ]
+                messages.push(this.#toActivities(message))
+            } catch (e) {
+                this.robot.emit('error', e)
+            }
+        }
+        return messages
+    }
+    // Sends to one conversation are queued so a message waiting out a 429 isn't overtaken by the next one.
+    // Emits 'dropped' with (activity, error, conversationId) for a message that couldn't be sent.
+    async #sendActivities(delegate, messages) {
+        const conversationId = delegate.activity?.conversation?.id ?? ''
+        return await this.#sendQueue.enqueue(conversationId, async () => {
+            const responses = []
+            const failures = []
+            for (const activities of messages) {
+                for (const activity of activities) {
+                    try {
+                        const response = await this.#sendQueue.retry(() => delegate.sendActivity(activity))
+                        if (response) {
+                            responses.push(response)
+                        }
+                        if (response?.id) {
+                            this.#sentMessages.add(response.id, { id: response.id, room: conversationId, text: activity.text ?? null, sentAt: new Date() })
+                        }
+                    } catch (e) {
+                        this.#logSendError(e)
+                        failures.push(e)
+                        this.emit('dropped', activity, e, conversationId)
+                        // The remaining chunks make no sense without this one.
+                        break
+                    }
                 }
-            } catch(e) {
-                this.robot.logger.debug(`message isn't a card: ${e}`)
             }
+            return { responses, failures }
+        })
+    }
+    #logSendError(e) {
+        if(e.statusCode && e.statusCode === 401){
+            this.robot.logger.error(`${this.robot.name}: Unauthorized, check TEAMS_BOT_APP_ID, TEAMS_BOT_CLIENT_SECRET, TEAMS_BOT_APP_TYPE, and TEAMS_BOT_TENANT_ID`)
+        } else {
+            this.robot.logger.error(`${this.robot.name}: ${e}`)
+        }
+    }
+    // Runs logic with the turn context from the envelope's message, or proactively
+    // through the stored conversation reference when the envelope only has a room
+    // or its turn is over.
+    async #withDelegate(envelope, logic) {
+        const turnContext = this.#turnContext(envelope)
+        if (turnContext) {
+            return await logic(turnContext)
+        }
+        const room = this.#roomId(envelope.room ?? envelope.user?.room)
+        const conversationReference = this.#findConversationReference(room)
+        if (!conversationReference) {
+            throw new Error(`No conversation reference found for room: ${room}`)
+        }
+        let result = null
+        await this.#continueConversation(conversationReference, async context => {
+            result = await logic(context)
+        })
+        return result
+    }
+    async sendTyping(envelope) {
+        try {
+            await this.#withDelegate(envelope, context => context.sendActivity({ type: ActivityTypes.Typing }))
+        } catch (e) {
+            this.robot.logger.debug(`Couldn't send typing indicator: ${e}`)
+        }
+    }
+    // activityId is the id, or the response, from an earlier send/reply.
+    async updateActivity(envelope, activityId, message) {
+        try {
+            const activities = this.#toActivities(message)
+            if (activities.length > 1) {
+                throw new Error(`Can't update activity ${activityId?.id ?? activityId}, the message is longer than ${CONTENT_LENGTH_LIMIT} characters.`)
+            }
+            const response = await this.#withDelegate(envelope, context => context.updateActivity({
+                ...activities[0],
+                id: activityId?.id ?? activityId
+            }))
+            this.emit('updateActivity', envelope, response)
+            return response ?? null
+        } catch (e) {
+            this.#logSendError(e)
+            return null
+        }
+    }
+    async deleteActivity(envelope, activityId) {
+        try {
+            await this.#withDelegate(envelope, context => context.deleteActivity(activityId?.id ?? activityId))
+            this.emit('deleteActivity', envelope, activityId?.id ?? activityId)
+            return true
+        } catch (e) {
+            this.#logSendError(e)
+            return false
+        }
+    }
+    // Updates brain users from the members of room, or of every conversation the bot has a
+    // reference for. Resolves with the number of members synced.
+    async syncRoster(room = null) {
+        const conversations = room
+            ? [[this.#roomId(room), this.#findConversationReference(this.#roomId(room))]]
+            : Object.entries(this.conversationReferences)
+        // The channels of a team, and their threads, all have the team's roster.
+        const synced = new Set()
+        let count = 0
+        for (const [conversationId, conversationReference] of conversations) {
+            // Chats the bot started are stored by user, but their roster is the chat's.
+            const roster = rosterOf(conversationReference?.conversation?.id ?? conversationId, conversationReference?.teamId)
+            if (!conversationReference || synced.has(roster)) {
+                continue
+            }
+            synced.add(roster)
             try {
-                const response = await delegate.sendActivity(teamsMessage)
-                if (response) {
-                    responses.push(response)
-                }
+                await this.#continueConversation(conversationReference, async context => {
+                    count += await this.#syncMembers(context, roster)
+                })
             } catch (e) {
-                if(e.statusCode && e.statusCode === 401){
-                    this.robot.logger.error(`${this.robot.name}: Unauthorized, check TEAMS_BOT_APP_ID, TEAMS_BOT_CLIENT_SECRET, TEAMS_BOT_APP_TYPE, and TEAMS_BOT_TENANT_ID`)
+                this.robot.logger.warn(`Couldn't sync the members of ${conversationId}: ${e}`)
+            }
+        }
+        return count
+    }
+    // Keeps brain users up to date as members change: the whole roster when the bot itself was
+    // added, otherwise only the new members. Members who left are taken out of the roster, and
+    // everyone is when the bot left.
+    async updateRoster(context, membersAdded = [], membersRemoved = []) {
+        const { activity } = context
+        const roster = rosterOf(activity.conversation?.id, activity.channelData?.team?.id)
+        const isBot = member => member.id === activity.recipient?.id
+        try {
+            if (membersRemoved.some(isBot)) {
+                removeMembers(this.robot, roster)
+            } else if (membersRemoved.length > 0) {
+                removeMembers(this.robot, roster, membersRemoved.map(member => member.id))
+            }
+            if (membersAdded.some(isBot)) {
+                await this.#syncMembers(context, roster)
+                return
+            }
+            for (const member of membersAdded) {
+                upsertMember(this.robot, await TeamsInfo.getMember(context, member.id), roster)
+            }
+        } catch (e) {
+            this.robot.logger.warn(`Couldn't sync the members of ${activity.conversation?.id}: ${e}`)
+        }
+    }
+    // Members the roster no longer has left while the bot wasn't listening.
+    async #syncMembers(context, roster) {
+        const members = await fetchMembers(context)
+        const ids = members.map(member => member.id)
+        removeMembers(this.robot, roster, Object.keys(this.robot.brain.data.users).filter(id => !ids.includes(id)))
+        for (const member of members) {
+            upsertMember(this.robot, member, roster)
+        }
+        this.robot.logger.debug(`Synced ${members.length} members of ${context.activity.conversation?.id}`)
+        return members.length
+    }
+    // The brain user with email or userPrincipalName, once the roster has been synced, who's still a member.
+    userForEmail(email) {
+        const address = `${email ?? ''}`.toLowerCase()
+        return Object.values(this.robot.brain.users()).find(user => isMember(user) && [user.email, user.userPrincipalName].some(value => value?.toLowerCase() === address)) ?? null
+    }
+    // What the bot sent as activityId, { id, room, text, sentAt }, or null when it's not one of the
+    // last TEAMS_BOT_SENT_MESSAGES_MAX_ENTRIES messages the bot sent since it started.
+    sentMessage(activityId) {
+        return this.#sentMessages.get(activityId?.id ?? activityId)
+    }
+    // Downloads an attachment from message.attachments, or a URL, and resolves with a Buffer.
+    // Images hosted by Teams are fetched with the bot's token.
+    async downloadAttachment(envelope, attachment) {
+        const url = attachment?.url ?? attachment
+        if (!url) {
+            throw new Error(`${attachment?.name ?? 'The attachment'} has nothing to download`)
+        }
+        return await this.#withDelegate(envelope, async context => {
+            const headers = new Headers()
+            if (needsBotToken(url, context.activity?.serviceUrl)) {
+                const connectorClient = context.turnState?.get(context.adapter?.ConnectorClientKey)
+                await connectorClient?.credentials?.signRequest({ url, method: 'GET', headers })
+            }
+            const response = await fetch(url, { headers })
+            if (!response.ok) {
+                const error = new Error(`Couldn't download ${attachment?.name ?? url}: ${response.status} ${response.statusText}`)
+                error.statusCode = response.status
+                throw error
+            }
+            return Buffer.from(await response.arrayBuffer())
+        })
+    }
+    // Sends a file, { name, content, description, contentType }, where content is a Buffer, String or stream.
+    // Small images are sent inline anywhere. Other files can only go to personal chats, where Teams
+    // asks the user to accept them first, see handleFileConsent.
+    async sendFile(envelope, { name, content, description = null, contentType = null }) {
+        try {
+            const data = await readContent(content)
+            return await this.#withDelegate(envelope, async context => {
+                const type = imageType(name, contentType)
+                let attachment = null
+                if (type && data.length <= INLINE_IMAGE_LIMIT) {
+                    attachment = { contentType: type, name, contentUrl: `data:${type};base64,${data.toString('base64')}` }
+                } else if (context.activity?.conversation?.conversationType === 'personal') {
+                    attachment = fileConsentCard(name, data.length, description, this.#pendingUploads.add({ name, data }))
                 } else {
-                    this.robot.logger.error(`${this.robot.name}: ${e}`)
+                    throw new Error(`Can't send ${name}: Teams only takes files from bots in personal chats, and images up to ${INLINE_IMAGE_LIMIT} bytes elsewhere`)
                 }
+                const { responses } = await this.#sendActivities(context, [[{ type: ActivityTypes.Message, attachments: [attachment] }]])
+                return responses
+            })
+        } catch (e) {
+            this.#logSendError(e)
+            return []
+        }
+    }
+    // The user accepted or declined a file consent card. Teams only waits a few seconds for the
+    // invoke response, so the upload to the user's OneDrive happens after it.
+    // Emits 'fileUploaded' with (uploadInfo, { room }) or 'fileDeclined' with (name, { room }).
+    async handleFileConsent(context, fileConsentCardResponse) {
+        const { action, context: { uploadId } = {}, uploadInfo } = fileConsentCardResponse ?? {}
+        const pending = this.#pendingUploads.take(uploadId)
+        const conversationReference = TurnContext.getConversationReference(context.activity)
+        const envelope = { room: conversationReference.conversation.id }
+        const consentCardId = context.activity.replyToId
+        if (action !== 'accept') {
+            await this.#deleteConsentCard(context, consentCardId)
+            this.emit('fileDeclined', pending?.name ?? null, envelope)
+            return
+        }
+        if (!pending) {
+            await context.sendActivity('That file isn\'t available anymore, ask me for it again.')
+            return
+        }
+        this.#completeUpload(conversationReference, consentCardId, pending, uploadInfo, envelope).catch(e => this.#logSendError(e))
+    }
+    async #completeUpload(conversationReference, consentCardId, { name, data }, uploadInfo, envelope) {
+        let uploaded = true
+        try {
+            await upload(uploadInfo.uploadUrl, data)
+        } catch (e) {
+            this.#logSendError(e)
+            uploaded = false
+        }
+        await this.#continueConversation(conversationReference, async context => {
+            if (!uploaded) {
+                await this.#sendActivities(context, this.#buildActivities([`Sorry, I couldn't upload ${name}.`]))
+                return
             }
+            await this.#sendActivities(context, [[{ type: ActivityTypes.Message, attachments: [fileInfoCard(uploadInfo)] }]])
+            await this.#deleteConsentCard(context, consentCardId)
+        })
+        if (uploaded) {
+            this.emit('fileUploaded', uploadInfo, envelope)
         }
-        return responses
+    }
+    async #deleteConsentCard(context, consentCardId) {
+        if (!consentCardId) {
+            return
+        }
+        try {
+            await context.deleteActivity(consentCardId)
+        } catch (e) {
+            this.robot.logger.debug(`Couldn't delete the file consent card: ${e}`)
+        }
+    }
+    // The Teams app manifest for this robot, see Manifest.mjs for the options.
+    manifest(options = {}) {
+        const manifest = buildManifest(this.robot, options)
+        for (const error of validateManifest(manifest)) {
+            this.robot.logger.warn(`Teams app manifest: ${error}`)
+        }
+        return manifest
+    }
+    // The zip to upload to Teams, with the manifest and icons. Throws if either isn't valid.
+    appPackage(options = {}, icons = {}) {
+        return packageManifest(buildManifest(this.robot, options), icons)
     }
     #escapeRegex(value) {
         return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
@@ -201,45 +922,120 @@ class MsTeamsAdapter extends Adapter {
         const botMention = botAccountId ? messageActivity.getAccountMention(botAccountId) : null
         mentionDetected = mentionDetected || !!botMention
 
-        if ((isPersonal || mentionDetected) && robotName && normalizedText.length > 0) {
+        // A file or image sent without text is still addressed to the bot, so respond listeners see it.
+        const hasAttachments = normalizeAttachments(activity.attachments).length > 0
+        if ((isPersonal || mentionDetected) && robotName && (normalizedText.length > 0 || hasAttachments)) {
             normalizedText = this.#ensureMentionPrefix(normalizedText, robotName)
         }
 
         activity.text = normalizedText
         return activity
     }
+    // Invokes aren't deduplicated: the sender is waiting for the response only the scripts can give.
+    // Edits and deletes carry the id of the message they change, so each one is told apart by its timestamp.
+    #isDuplicate(activity) {
+        if (!activity.id || activity.type === ActivityTypes.Invoke) {
+            return false
+        }
+        const key = [ActivityTypes.MessageUpdate, ActivityTypes.MessageDelete].includes(activity.type)
+            ? `${activity.conversation?.id}|${activity.id}|${activity.type}|${new Date(activity.timestamp).getTime()}`
+            : `${activity.conversation?.id}|${activity.id}`
+        return this.#recentActivities.seen(key)
+    }
+    // Whether an activity, over HTTP or a websocket, goes to Hubot: redeliveries are ignored and
+    // the access policy's refusals are answered with the refusal message.
+    async #admits(context) {
+        if (this.#isDuplicate(context.activity)) {
+            this.robot.logger.debug(`Ignoring redelivered activity ${context.activity.id} in ${context.activity.conversation?.id}`)
+            return false
+        }
+        const refusal = this.#accessPolicy.refusal(AccessPolicy.targetOf(context.activity))
+        if (refusal) {
+            this.robot.logger.warn(`Refusing activity ${context.activity.id} in ${context.activity.conversation?.id}: ${refusal}`)
+            if (this.#refusalMessage && context.activity.type === ActivityTypes.Message) {
+                await context.sendActivity(this.#refusalMessage)
+            }
+            return false
+        }
+        return true
+    }
+    async #receive(context) {
+        // Store conversation reference for messageRoom functionality
+        const conversationReference = {
+            ...TurnContext.getConversationReference(context.activity),
+            // Not part of a conversation reference, but the access policy checks them when a script sends to the room by id.
+            teamId: context.activity.channelData?.team?.id,
+            tenantId: context.activity.channelData?.tenant?.id ?? context.activity.conversation?.tenantId
+        }
+        await this.storeConversationReference(context.activity.conversation.id, conversationReference)
+        await this.#activityHandler.run(context)
+    }
     async run() {
-        this.robot.router.use(async (req, res, next) => {
+        this.#conversationReferenceStore.on?.('loaded', entries => this.#mergeConversationReferences(entries))
+        await this.loadConversationReferences()
+        // Only the bot's routes: other scripts' routes on robot.router have their own secrets.
+        const logRequest = (req, res, next) => {
+            const { fields, mode, maxLength } = this.#requestLog
             this.robot.logger.debug(`url: ${req.url}`)
-            this.robot.logger.debug(`headers: ${JSON.stringify(req.headers)}`)
-            this.robot.logger.debug(`body: ${JSON.stringify(req.body)}`)
+            this.robot.logger.debug(`headers: ${truncate(JSON.stringify(redactHeaders(req.headers)), maxLength)}`)
+            this.robot.logger.debug(`body: ${truncate(JSON.stringify(redactBody(req.body, fields, mode)) ?? '', maxLength)}`)
             next()
-        })
-        this.robot.router.post(['/', '/api/messages'], async (req, res)=>{
+        }
+        this.#client.attach?.(this.robot.server)
+        this.robot.router.post(this.#client.routes ?? BOT_ROUTES, logRequest, async (req, res)=>{
             req.body = this.#normalizeIncomingActivity(req.body)
 
+            let acknowledgeTimer = null
             try {
-                await this.#client.process(req, res, async context => {
-                    // Store conversation reference for messageRoom functionality
-                    const conversationReference = TurnContext.getConversationReference(context.activity)
-                    this.conversationReferences[context.activity.conversation.id] = conversationReference
-                    await this.#activityHandler.run(context)
-                    res.status(200).send('ok')
+                await this.#client.process(req, unlessAcknowledged(res), async context => {
+                    if (!(await this.#admits(context))) {
+                        return
+                    }
+                    // Bot Service redelivers activities it doesn't get a response to in time, so slow scripts
+                    // mustn't hold the response. Invokes are answered with what the scripts respond with.
+                    if (context.activity.type !== ActivityTypes.Invoke && !this.#client.repliesInResponse) {
+                        acknowledgeTimer = setTimeout(() => {
+                            if (!res.headersSent) {
+                                res.status(200).send('ok')
+                            }
+                        }, this.#acknowledgeTimeout)
+                    }
+                    await this.#receive(context)
                 })
+                // The Bot Framework adapter writes the response itself, including invoke responses.
+                if (!res.headersSent) {
+                    res.status(200).send('ok')
+                }
             } catch (e) {
                 this.robot.logger.error(e)
-                res.status(500).send('service error')
+                if (!res.headersSent) {
+                    res.status(500).send('service error')
+                }
+            } finally {
+                clearTimeout(acknowledgeTimer)
             }
         })
-        this.robot.server.on('upgrade', async (req, socket, head) => {
-            this.robot.logger.info('upgrading to websockets')
-            await this.#client.process(req, socket, head, (context) => this.#activityHandler.run(context));
-        })
+        if (!this.#client.repliesInResponse) {
+            this.robot.server.on('upgrade', async (req, socket, head) => {
+                this.robot.logger.info('upgrading to websockets')
+                await this.#client.process(req, socket, head, async context => {
+                    if (await this.#admits(context)) {
+                        await this.#receive(context)
+                    }
+                })
+            })
+        }
+        // An outgoing webhook can't call Teams to read a roster.
+        if (this.#rosterSyncInterval > 0 && !this.#client.repliesInResponse) {
+            this.#rosterSyncTimer = setInterval(() => this.syncRoster(), this.#rosterSyncInterval)
+            this.#rosterSyncTimer.unref()
+        }
         this.emit('connected', this)
         this.robot.logger.info(`${MsTeamsAdapter.name} adapter is running as @${this.robot.name}.`)
     }
     close () {
         this.robot.logger.info(`${MsTeamsAdapter.name} adapter is closing.`)
+        clearInterval(this.#rosterSyncTimer)
         this.emit('disconnected')
     }
 }
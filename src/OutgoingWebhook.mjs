@@ -0,0 +1,126 @@
+import { createHmac, timingSafeEqual } from 'node:crypto'
+import { TurnContext, ActivityTypes } from 'botbuilder'
+
+const OUTGOING_WEBHOOK_PATH = '/api/outgoing-webhook'
+const RAW_BODY_LIMIT = 1_024 * 1_024
+
+// Teams signs each request with an HMAC-SHA256 of the raw body, keyed with the base64
+// decoded security token it shows when the outgoing webhook is created.
+const verifySignature = (rawBody, authorization, secret) => {
+    const signature = `${authorization ?? ''}`.match(/^HMAC\s+(\S+)$/i)?.[1]
+    if (!signature || !rawBody || !secret) {
+        return false
+    }
+    const expected = createHmac('sha256', Buffer.from(secret, 'base64')).update(rawBody).digest()
+    const actual = Buffer.from(signature, 'base64')
+    return actual.length === expected.length && timingSafeEqual(actual, expected)
+}
+
+// express.json has consumed the body by the time a robot.router route runs, and the signature
+// covers the exact bytes Teams sent. So requests to path are read here first, and body-parser
+// leaves a request it finds already read alone.
+const keepRawBody = (server, path) => {
+    const listeners = server.listeners('request')
+    server.removeAllListeners('request')
+    server.on('request', (req, res) => {
+        const dispatch = () => listeners.forEach(listener => listener.call(server, req, res))
+        if (req.method !== 'POST' || new URL(req.url, 'http://localhost').pathname !== path) {
+            return dispatch()
+        }
+        const chunks = []
+        let size = 0
+        req.on('data', chunk => {
+            size += chunk.length
+            if (size > RAW_BODY_LIMIT) {
+                res.writeHead(413).end()
+                req.destroy()
+                return
+            }
+            chunks.push(chunk)
+        })
+        req.on('end', () => {
+            req.rawBody = Buffer.concat(chunks)
+            try {
+                req.body = JSON.parse(req.rawBody.toString('utf8'))
+            } catch {
+                req.body = undefined
+            }
+            dispatch()
+        })
+    })
+}
+
+// All the replies scripts sent during the turn, as the one message Teams shows for the webhook.
+const combineReplies = replies => {
+    const text = replies.map(reply => reply.text).filter(Boolean).join('\n\n')
+    const attachments = replies.flatMap(reply => reply.attachments ?? [])
+    const entities = replies.flatMap(reply => reply.entities ?? [])
+    return {
+        type: ActivityTypes.Message,
+        text,
+        ...(attachments.length > 0 ? { attachments } : {}),
+        ...(entities.length > 0 ? { entities } : {})
+    }
+}
+
+// Stands in for the Bot Framework CloudAdapter when the bot is a Teams Outgoing Webhook.
+// Teams waits (up to 5 seconds) for the reply in the HTTP response, and the webhook has no
+// way to send anything after that, so replies are collected during the turn and returned.
+class OutgoingWebhookClient {
+    #secret
+    #replies = new WeakMap()
+    constructor(secret, { path = OUTGOING_WEBHOOK_PATH } = {}) {
+        if (!secret) {
+            throw new Error('An outgoing webhook needs its security token, set TEAMS_BOT_OUTGOING_WEBHOOK_SECRET')
+        }
+        this.#secret = secret
+        this.routes = [path]
+        this.repliesInResponse = true
+    }
+    attach(server) {
+        for (const path of this.routes) {
+            keepRawBody(server, path)
+        }
+    }
+    async process(req, res, logic) {
+        if (!verifySignature(req.rawBody, req.headers.authorization, this.#secret)) {
+            res.status(401).send('invalid signature')
+            return
+        }
+        const context = new TurnContext(this, req.body)
+        const replies = []
+        this.#replies.set(context, replies)
+        try {
+            await logic(context)
+        } finally {
+            this.#replies.delete(context)
+        }
+        res.status(200).send(combineReplies(replies))
+    }
+    async sendActivities(context, activities) {
+        const replies = this.#replies.get(context)
+        if (!replies) {
+            throw new Error('An outgoing webhook can only reply before its response is sent')
+        }
+        replies.push(...activities.filter(activity => activity.type === ActivityTypes.Message))
+        return activities.map(() => ({}))
+    }
+    async updateActivity() {
+        throw new Error('An outgoing webhook can\'t update messages')
+    }
+    async deleteActivity() {
+        throw new Error('An outgoing webhook can\'t delete messages')
+    }
+    async continueConversationAsync() {
+        throw new Error('An outgoing webhook can\'t send proactively, use an incoming webhook as the room')
+    }
+    async createConversationAsync() {
+        throw new Error('An outgoing webhook can\'t start conversations, use an incoming webhook as the room')
+    }
+}
+
+export default OutgoingWebhookClient
+export {
+    OutgoingWebhookClient,
+    verifySignature
+}
@@ -0,0 +1,35 @@
+// Remembers activity keys for ttl milliseconds so a redelivered activity can be recognized.
+// Holds at most maxSize keys, forgetting the oldest first.
+class RecentActivities {
+    #expiries = new Map()
+    #ttl
+    #maxSize
+    constructor({ ttl = 10 * 60 * 1_000, maxSize = 10_000 } = {}) {
+        this.#ttl = ttl
+        this.#maxSize = maxSize
+    }
+    get size() {
+        return this.#expiries.size
+    }
+    // Returns true when key was seen within ttl, otherwise remembers it and returns false.
+    seen(key, now = Date.now()) {
+        if (this.#expiries.get(key) > now) {
+            return true
+        }
+        this.#expiries.delete(key)
+        this.#expiries.set(key, now + this.#ttl)
+        // Every key gets the same ttl, so insertion order is also expiry order.
+        for (const [oldest, expires] of this.#expiries) {
+            if (this.#expiries.size <= this.#maxSize && expires > now) {
+                break
+            }
+            this.#expiries.delete(oldest)
+        }
+        return false
+    }
+}
+
+export default RecentActivities
+export {
+    RecentActivities
+}
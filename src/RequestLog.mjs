@@ -0,0 +1,74 @@
+import { createHash } from 'node:crypto'
+
+const SECRET_HEADERS = ['authorization', 'proxy-authorization', 'cookie']
+
+// Keeps the scheme (e.g. Bearer) so the log still shows what kind of credentials were sent.
+const redactHeaders = headers => Object.fromEntries(Object.entries(headers ?? {}).map(([name, value]) => {
+    if (!SECRET_HEADERS.includes(name.toLowerCase())) {
+        return [name, value]
+    }
+    const scheme = `${value}`.match(/^(\w+)\s+\S/)?.[1]
+    return [name, scheme ? `${scheme} [redacted]` : '[redacted]']
+}))
+
+const hash = value => `sha256:${createHash('sha256').update(JSON.stringify(value)).digest('hex').slice(0, 12)}`
+
+// What a request log leaves out by default: message content, card and dialog submissions, and
+// the names of the people in an activity.
+const DEFAULT_REDACT_FIELDS = [
+    'text',
+    'attachments',
+    'value',
+    'from.name',
+    'entities.*.text',
+    'entities.*.mentioned.name',
+    'membersAdded.*.name',
+    'membersRemoved.*.name'
+]
+
+// A * in the path stands for every item of an array (or every value of an object).
+const redactPath = (value, [name, ...rest], mode) => {
+    if (!value || typeof value !== 'object') {
+        return
+    }
+    if (name === '*' && rest.length === 0 && mode === 'drop' && Array.isArray(value)) {
+        value.splice(0)
+        return
+    }
+    for (const key of name === '*' ? Object.keys(value) : [name]) {
+        if (!Object.hasOwn(value, key)) {
+            continue
+        }
+        if (rest.length > 0) {
+            redactPath(value[key], rest, mode)
+        } else if (mode === 'drop') {
+            delete value[key]
+        } else {
+            value[key] = hash(value[key])
+        }
+    }
+}
+
+// Returns a copy of body with each field (a dotted path like from.name, or entities.*.text
+// for a field of every entity) hashed or dropped.
+// Hashing keeps equal values recognizable across log lines without revealing them.
+// mode is 'hash', 'drop' or 'keep'.
+const redactBody = (body, fields, mode = 'hash') => {
+    if (mode === 'keep' || !body || typeof body !== 'object') {
+        return body
+    }
+    const copy = structuredClone(body)
+    for (const field of fields) {
+        redactPath(copy, field.split('.'), mode)
+    }
+    return copy
+}
+
+const truncate = (text, limit) => text.length > limit ? `${text.slice(0, limit)}... (${text.length - limit} more characters)` : text
+
+export {
+    DEFAULT_REDACT_FIELDS,
+    redactHeaders,
+    redactBody,
+    truncate
+}
@@ -0,0 +1,136 @@
+import { CardFactory, TextFormatTypes } from 'botbuilder'
+
+const LIST_CARD = 'application/vnd.microsoft.teams.card.list'
+const EXPRESSION = /\$\{([^}]+)\}/g
+const WHOLE_EXPRESSION = /^\$\{([^}]+)\}$/
+
+// A message scripts build explicitly instead of leaving the adapter to guess what a String is.
+// It's part of an activity: text and textFormat, attachments and attachmentLayout, suggestedActions.
+// Send it like a String: res.send(heroCard({ title: 'Hello' })).
+class RichMessage {
+    constructor(activity) {
+        this.activity = activity
+    }
+}
+
+// $root is the data the card was bound to, $data the item of the $data array being repeated.
+const lookup = (path, scope, root) => {
+    const [first, ...rest] = path.trim().split('.')
+    let value = first === '$root' ? root : first === '$data' ? scope : scope?.[first]
+    for (const key of rest) {
+        value = value?.[key]
+    }
+    return value
+}
+
+// Binds a subset of the Adaptive Card Templating language: ${path} expressions, $data to repeat
+// an element for each item of an array, and $when to leave an element out.
+// A String that's only an expression takes the value as is, so numbers and objects keep their type.
+const bind = (template, scope, root) => {
+    if (typeof template === 'string') {
+        const whole = template.match(WHOLE_EXPRESSION)
+        if (whole) {
+            return lookup(whole[1], scope, root)
+        }
+        return template.replace(EXPRESSION, (expression, path) => `${lookup(path, scope, root) ?? ''}`)
+    }
+    if (Array.isArray(template)) {
+        return template.flatMap(item => {
+            if (!item || typeof item !== 'object' || Array.isArray(item)) {
+                return [bind(item, scope, root)]
+            }
+            const { $data, $when, ...element } = item
+            const data = $data === undefined ? [scope] : [bind($data, scope, root)].flat().filter(itemScope => itemScope !== undefined && itemScope !== null)
+            return data
+                .filter(itemScope => $when === undefined || bind($when, itemScope, root))
+                .map(itemScope => bind(element, itemScope, root))
+        })
+    }
+    if (template && typeof template === 'object') {
+        const { $data, $when, ...element } = template
+        const elementScope = $data === undefined ? scope : bind($data, scope, root)
+        return Object.fromEntries(Object.entries(element).map(([key, value]) => [key, bind(value, elementScope, root)]))
+    }
+    return template
+}
+
+// Text rendered as markdown, however it looks.
+const markdown = text => new RichMessage({ text, textFormat: TextFormatTypes.Markdown })
+
+// Text rendered as HTML (Teams' xml text format).
+const html = text => new RichMessage({ text, textFormat: TextFormatTypes.Xml })
+
+// card - An Adaptive Card, as an object or a JSON String.
+// data - Binds ${...} expressions in the card when given, see bind.
+const adaptiveCard = (card, data = undefined) => {
+    const template = typeof card === 'string' ? JSON.parse(card) : card
+    return new RichMessage({ attachments: [CardFactory.adaptiveCard(data === undefined ? template : bind(template, data, data))] })
+}
+
+// { title, subtitle, text, images, buttons, tap }. images are URLs or { url, alt },
+// buttons are Strings the user sends back by clicking them, or card actions.
+const heroCard = ({ title, subtitle, text, images = [], buttons = [], tap } = {}) => new RichMessage({
+    attachments: [{
+        contentType: CardFactory.contentTypes.heroCard,
+        content: { title, subtitle, text, images: CardFactory.images(images), buttons: CardFactory.actions(buttons), tap }
+    }]
+})
+
+// Like heroCard, with a small image beside the text.
+const thumbnailCard = ({ title, subtitle, text, images = [], buttons = [], tap } = {}) => new RichMessage({
+    attachments: [{
+        contentType: CardFactory.contentTypes.thumbnailCard,
+        content: { title, subtitle, text, images: CardFactory.images(images), buttons: CardFactory.actions(buttons), tap }
+    }]
+})
+
+// { title, items, buttons }, where items are { title, subtitle, icon, tap } rows.
+const listCard = ({ title, items = [], buttons = [] } = {}) => new RichMessage({
+    attachments: [{
+        contentType: LIST_CARD,
+        content: {
+            title,
+            items: items.map(item => ({ type: 'resultItem', ...item })),
+            buttons: CardFactory.actions(buttons)
+        }
+    }]
+})
+
+// Cards from the builders above, side by side.
+const carousel = (cards, text = undefined) => new RichMessage({
+    text,
+    attachmentLayout: 'carousel',
+    attachments: cards.flatMap(card => card.activity.attachments ?? [])
+})
+
+// Adds quick replies to a message, a String (sent as markdown) or a RichMessage. actions are the
+// Strings the user sends back by clicking them, or card actions. Teams shows them in personal chats.
+const suggestedActions = (message, actions) => {
+    const { activity } = message instanceof RichMessage ? message : markdown(message)
+    return new RichMessage({
+        ...activity,
+        suggestedActions: { actions: CardFactory.actions(actions), to: [] }
+    })
+}
+
+// An Adaptive Card button that opens a Teams dialog. Hubot receives a DialogMessage with the
+// dialog's name and data, and the script responds with what the dialog shows.
+const dialogButton = (title, dialog, data = {}) => ({
+    type: 'Action.Submit',
+    title,
+    data: { ...data, dialog, msteams: { type: 'task/fetch' } }
+})
+
+export {
+    RichMessage,
+    bind,
+    markdown,
+    html,
+    adaptiveCard,
+    heroCard,
+    thumbnailCard,
+    listCard,
+    carousel,
+    suggestedActions,
+    dialogButton
+}
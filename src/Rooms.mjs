@@ -0,0 +1,36 @@
+// Channel conversation ids carry the thread as 19:...@thread.tacv2;messageid=<root post id>.
+const THREAD_SEPARATOR = ';messageid='
+
+const channelConversationId = conversationId => `${conversationId}`.split(THREAD_SEPARATOR)[0]
+const threadConversationId = (conversationId, threadId) => `${channelConversationId(conversationId)}${THREAD_SEPARATOR}${threadId}`
+const threadIdOf = conversationId => `${conversationId}`.split(THREAD_SEPARATOR)[1] ?? null
+
+// What scripts need to know about the conversation an activity came from. The room itself is
+// id, the conversation id, which is what messageRoom takes.
+//
+// conversationType - personal, groupChat or channel.
+// teamId, teamName - The team a channel belongs to, null outside of channels.
+// channelId        - The channel's conversation id, without the thread.
+// threadId         - The id of the root post of the thread the activity is in, null outside of channels.
+const roomOf = activity => {
+    const conversation = activity?.conversation ?? {}
+    const channelData = activity?.channelData ?? {}
+    const isChannel = conversation.conversationType === 'channel'
+    return {
+        id: conversation.id ?? null,
+        name: conversation.name ?? channelData.channel?.name ?? null,
+        conversationType: conversation.conversationType ?? null,
+        tenantId: channelData.tenant?.id ?? conversation.tenantId ?? null,
+        teamId: channelData.team?.id ?? null,
+        teamName: channelData.team?.name ?? null,
+        channelId: isChannel ? channelData.channel?.id ?? channelConversationId(conversation.id) : null,
+        threadId: isChannel ? threadIdOf(conversation.id) ?? activity.replyToId ?? activity.id ?? null : null
+    }
+}
+
+export {
+    channelConversationId,
+    threadConversationId,
+    threadIdOf,
+    roomOf
+}
@@ -0,0 +1,61 @@
+import { TeamsInfo } from 'botbuilder'
+import { channelConversationId } from './Rooms.mjs'
+
+const PAGE_SIZE = 500
+
+// The Teams profile fields a brain user gets from a roster entry. Fields Teams left out
+// don't overwrite what the brain already knows.
+const profileOf = member => Object.fromEntries(Object.entries({
+    name: member.name,
+    email: member.email,
+    userPrincipalName: member.userPrincipalName,
+    aadObjectId: member.aadObjectId ?? member.objectId,
+    tenantId: member.tenantId,
+    givenName: member.givenName,
+    surname: member.surname,
+    userRole: member.userRole
+}).filter(([, value]) => value !== undefined && value !== null))
+
+// A roster is a team's, for all of its channels, or a chat's.
+const rosterOf = (conversationId, teamId = undefined) => teamId ?? channelConversationId(conversationId)
+
+// Creates or updates the brain user for a Teams member, keyed by their Teams user id like the
+// users messages come from. memberOf lists the rosters they're in.
+const upsertMember = (robot, member, roster) => {
+    const user = robot.brain.userForId(member.id, { name: member.name })
+    Object.assign(user, profileOf(member))
+    user.memberOf = [...new Set([...(user.memberOf ?? []), roster])]
+    return user
+}
+
+// Takes brain users out of a roster, and every user out of it when the bot left. They stay in the brain.
+const removeMembers = (robot, roster, ids = null) => {
+    for (const user of Object.values(robot.brain.users())) {
+        if ((ids === null || ids.includes(user.id)) && user.memberOf?.includes(roster)) {
+            user.memberOf = user.memberOf.filter(name => name !== roster)
+        }
+    }
+}
+
+// Whether the user is still in one of the bot's teams or chats. Users the roster never saw are.
+const isMember = user => !Array.isArray(user?.memberOf) || user.memberOf.length > 0
+
+// Every member of the context's conversation: the whole team in a channel, the people in a chat.
+const fetchMembers = async context => {
+    const members = []
+    let continuationToken = undefined
+    do {
+        const page = await TeamsInfo.getPagedMembers(context, PAGE_SIZE, continuationToken)
+        members.push(...(page.members ?? []))
+        continuationToken = page.continuationToken
+    } while (continuationToken)
+    return members
+}
+
+export {
+    rosterOf,
+    upsertMember,
+    removeMembers,
+    isMember,
+    fetchMembers
+}
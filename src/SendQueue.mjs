@@ -0,0 +1,78 @@
+import EventEmitter from 'node:events'
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+// Bot Connector throttles with 429 and has the occasional transient 5xx; anything else won't get better by retrying.
+const isRetryable = error => error?.statusCode === 429 || (error?.statusCode >= 500 && error?.statusCode < 600)
+
+// Retry-After is either a number of seconds or an HTTP date.
+const retryAfter = error => {
+    const headers = error?.response?.headers ?? error?.headers
+    const value = typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after']
+    if (value === undefined || value === null || value === '') {
+        return null
+    }
+    const seconds = Number(value)
+    if (!Number.isNaN(seconds)) {
+        return Math.max(seconds, 0) * 1_000
+    }
+    const date = Date.parse(value)
+    return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0)
+}
+
+// Runs sends for the same conversation one after another so messages arrive in order,
+// retrying throttled and transient failures with exponential backoff.
+// Emits 'retry' with (error, attempt, delay) before waiting to try again.
+class SendQueue extends EventEmitter {
+    #queues = new Map()
+    #retries
+    #baseDelay
+    #maxDelay
+    constructor({ retries = 3, baseDelay = 1_000, maxDelay = 30_000 } = {}) {
+        super()
+        this.#retries = retries
+        this.#baseDelay = baseDelay
+        this.#maxDelay = maxDelay
+    }
+    async enqueue(key, task) {
+        const previous = this.#queues.get(key) ?? Promise.resolve()
+        const current = previous.then(task)
+        const settled = current.catch(() => {})
+        this.#queues.set(key, settled)
+        try {
+            return await current
+        } finally {
+            if (this.#queues.get(key) === settled) {
+                this.#queues.delete(key)
+            }
+        }
+    }
+    async retry(send) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await send()
+            } catch (e) {
+                if (attempt > this.#retries || !isRetryable(e)) {
+                    throw e
+                }
+                const delay = this.#delay(e, attempt)
+                this.emit('retry', e, attempt, delay)
+                await sleep(delay)
+            }
+        }
+    }
+    #delay(error, attempt) {
+        const requested = retryAfter(error)
+        if (requested !== null) {
+            return requested
+        }
+        // Half the backoff plus jitter, so conversations that got throttled together don't retry together.
+        const backoff = Math.min(this.#baseDelay * 2 ** (attempt - 1), this.#maxDelay)
+        return backoff / 2 + Math.random() * backoff / 2
+    }
+}
+
+export default SendQueue
+export {
+    SendQueue
+}
@@ -0,0 +1,33 @@
+// The messages the bot sent most recently, by activity id, so reactions and edits on them
+// can be traced back to what the bot said. Holds at most maxSize messages, forgetting the oldest first.
+class SentMessages {
+    #messages = new Map()
+    #maxSize
+    constructor({ maxSize = 1_000 } = {}) {
+        this.#maxSize = maxSize
+    }
+    get size() {
+        return this.#messages.size
+    }
+    add(id, message) {
+        if (this.#maxSize <= 0) {
+            return
+        }
+        this.#messages.delete(id)
+        this.#messages.set(id, message)
+        for (const oldest of this.#messages.keys()) {
+            if (this.#messages.size <= this.#maxSize) {
+                break
+            }
+            this.#messages.delete(oldest)
+        }
+    }
+    get(id) {
+        return this.#messages.get(id) ?? null
+    }
+}
+
+export default SentMessages
+export {
+    SentMessages
+}
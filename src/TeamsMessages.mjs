@@ -0,0 +1,178 @@
+import { Message } from 'hubot'
+import { RichMessage } from './RichMessage.mjs'
+
+// Represents a button click on an Adaptive Card the bot sent. Action.Submit arrives
+// as a message with a value and no text, Action.Execute as an adaptiveCard/action invoke.
+//
+// user - A User instance that clicked the button.
+// data - The data submitted with the action, including the card's input values.
+// verb - The Action.Execute verb, or data.verb for Action.Submit.
+// id   - A String of the activity ID.
+class CardActionMessage extends Message {
+    constructor(user, data, verb, id) {
+        super(user)
+        this.data = data ?? {}
+        this.verb = verb ?? this.data.verb ?? null
+        this.id = id
+        this.invokeResponse = null
+    }
+
+    // Replaces the card the user clicked on. Only Action.Execute can do this.
+    respondWithCard(card) {
+        this.invokeResponse = {
+            statusCode: 200,
+            type: 'application/vnd.microsoft.card.adaptive',
+            value: typeof card === 'string' ? JSON.parse(card) : card
+        }
+    }
+
+    // Shows text to the user who clicked. Only Action.Execute can do this.
+    respondWithMessage(text) {
+        this.invokeResponse = {
+            statusCode: 200,
+            type: 'application/vnd.microsoft.activity.message',
+            value: text
+        }
+    }
+}
+
+// Represents a reaction someone added to, or removed from, a message.
+//
+// user     - A User instance that reacted.
+// type     - 'added' or 'removed'.
+// reaction - The reaction, e.g. like, heart, laugh, surprised, sad or angry.
+// itemId   - A String of the id of the message that got the reaction.
+// id       - A String of the activity ID.
+class ReactionMessage extends Message {
+    constructor(user, type, reaction, itemId, id) {
+        super(user)
+        this.type = type
+        this.reaction = reaction
+        this.itemId = itemId
+        this.id = id
+        // { id, room, text, sentAt } when the reaction is on a message the bot sent and still remembers.
+        this.item = null
+    }
+}
+
+// Represents a message someone edited. It isn't a TextMessage, so the edit doesn't run the
+// hear and respond listeners the original message ran.
+//
+// user - A User instance that edited the message.
+// text - A String of the message's new text.
+// id   - A String of the edited message's activity ID.
+class EditedMessage extends Message {
+    constructor(user, text, id) {
+        super(user)
+        this.text = text
+        this.id = id
+    }
+}
+
+// Represents a message someone deleted.
+//
+// user - A User instance that deleted the message.
+// id   - A String of the deleted message's activity ID.
+class DeletedMessage extends Message {
+    constructor(user, id) {
+        super(user)
+        this.id = id
+    }
+}
+
+// Represents a deleted message someone restored.
+//
+// user - A User instance that restored the message.
+// text - A String of the message's text.
+// id   - A String of the restored message's activity ID.
+class RestoredMessage extends Message {
+    constructor(user, text, id) {
+        super(user)
+        this.text = text
+        this.id = id
+    }
+}
+
+// The dialog's own Action.Submit buttons name it, so its submit comes back as the same dialog.
+const nameSubmits = (value, dialog) => {
+    if (Array.isArray(value)) {
+        return value.map(item => nameSubmits(item, dialog))
+    }
+    if (!value || typeof value !== 'object') {
+        return value
+    }
+    const named = Object.fromEntries(Object.entries(value).map(([key, item]) => [key, nameSubmits(item, dialog)]))
+    if (dialog && named.type === 'Action.Submit' && (named.data === undefined || (named.data && typeof named.data === 'object'))) {
+        named.data = { dialog, ...named.data }
+    }
+    return named
+}
+
+// Represents a Teams dialog (task module) asking for its content, or submitting what the user
+// entered. A dialog is opened by a dialogButton on a card the bot sent.
+//
+// user   - A User instance that opened or submitted the dialog.
+// type   - 'fetch' when the dialog opens, 'submit' when the user submits it.
+// dialog - The name the dialogButton gave the dialog, or null.
+// data   - The dialogButton's data when it opens, the input values when it's submitted.
+// id     - A String of the activity ID.
+//
+// Respond with a card or URL to show, for fetch or to follow a submit with another step. A submit
+// nobody responds to closes the dialog.
+class DialogMessage extends Message {
+    constructor(user, type, dialog, data, id) {
+        super(user)
+        this.type = type
+        this.dialog = dialog ?? null
+        this.data = data ?? {}
+        this.id = id
+        this.invokeResponse = null
+    }
+
+    // Shows an Adaptive Card in the dialog. card is an object, JSON or an adaptiveCard().
+    // options - { title, width, height, dialog }. dialog names the step its Action.Submit
+    // buttons submit, and defaults to this dialog.
+    respondWithCard(card, { dialog = this.dialog, ...options } = {}) {
+        const content = card instanceof RichMessage
+            ? card.activity.attachments[0].content
+            : typeof card === 'string' ? JSON.parse(card) : card
+        this.invokeResponse = {
+            task: {
+                type: 'continue',
+                value: {
+                    ...options,
+                    card: { contentType: 'application/vnd.microsoft.card.adaptive', content: nameSubmits(content, dialog) }
+                }
+            }
+        }
+    }
+
+    // Shows a web page in the dialog. options - { title, width, height, fallbackUrl }.
+    respondWithUrl(url, options = {}) {
+        this.invokeResponse = {
+            task: {
+                type: 'continue',
+                value: { ...options, url, fallbackUrl: options.fallbackUrl ?? url }
+            }
+        }
+    }
+
+    // Closes the dialog, or doesn't open it, and shows the user text.
+    respondWithMessage(text) {
+        this.invokeResponse = {
+            task: {
+                type: 'message',
+                value: text
+            }
+        }
+    }
+}
+
+export {
+    CardActionMessage,
+    DialogMessage,
+    ReactionMessage,
+    EditedMessage,
+    DeletedMessage,
+    RestoredMessage
+}
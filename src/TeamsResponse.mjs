@@ -0,0 +1,30 @@
+import { Response } from 'hubot'
+
+// Adds Teams-only operations to the Response scripts get in their listeners.
+class TeamsResponse extends Response {
+    // activityId - The id, or the response, from an earlier send/reply.
+    // message    - A String, or a JSON String of an Adaptive Card, to replace it with.
+    async updateActivity(activityId, message) {
+        return await this.robot.adapter.updateActivity(this.envelope, activityId, message)
+    }
+    async deleteActivity(activityId) {
+        return await this.robot.adapter.deleteActivity(this.envelope, activityId)
+    }
+    // attachment - One of message.attachments. Resolves with its content as a Buffer.
+    async downloadAttachment(attachment) {
+        return await this.robot.adapter.downloadAttachment(this.envelope, attachment)
+    }
+    // file - { name, content, description, contentType }, see MsTeamsAdapter.sendFile.
+    async sendFile(file) {
+        return await this.robot.adapter.sendFile(this.envelope, file)
+    }
+    // Replies in the thread of the message that triggered the listener when it's in a channel.
+    async replyInThread(...strings) {
+        return await this.robot.adapter.replyInThread(this.envelope, ...strings)
+    }
+}
+
+export default TeamsResponse
+export {
+    TeamsResponse
+}
@@ -0,0 +1,76 @@
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1
+    }
+    return c >>> 0
+})
+
+const crc32 = buffer => {
+    let crc = 0xFFFFFFFF
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8)
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0
+}
+
+// 1980-01-01 00:00, the earliest DOS date, so the same files always make the same zip.
+const DOS_TIME = 0
+const DOS_DATE = (0 << 9) | (1 << 5) | 1
+
+// Builds a zip of files ([{ name, data }]) without compression. Teams app packages are
+// a small manifest and already compressed PNGs, so storing them costs next to nothing.
+const zip = files => {
+    const locals = []
+    const centrals = []
+    let offset = 0
+    for (const { name, data } of files) {
+        const fileName = Buffer.from(name)
+        const content = Buffer.from(data)
+        const crc = crc32(content)
+        const local = Buffer.alloc(30)
+        local.writeUInt32LE(0x04034B50, 0)
+        local.writeUInt16LE(10, 4)
+        local.writeUInt16LE(0, 6)
+        local.writeUInt16LE(0, 8)
+        local.writeUInt16LE(DOS_TIME, 10)
+        local.writeUInt16LE(DOS_DATE, 12)
+        local.writeUInt32LE(crc, 14)
+        local.writeUInt32LE(content.length, 18)
+        local.writeUInt32LE(content.length, 22)
+        local.writeUInt16LE(fileName.length, 26)
+        local.writeUInt16LE(0, 28)
+        locals.push(local, fileName, content)
+
+        const central = Buffer.alloc(46)
+        central.writeUInt32LE(0x02014B50, 0)
+        central.writeUInt16LE(20, 4)
+        central.writeUInt16LE(10, 6)
+        central.writeUInt16LE(0, 8)
+        central.writeUInt16LE(0, 10)
+        central.writeUInt16LE(DOS_TIME, 12)
+        central.writeUInt16LE(DOS_DATE, 14)
+        central.writeUInt32LE(crc, 16)
+        central.writeUInt32LE(content.length, 20)
+        central.writeUInt32LE(content.length, 24)
+        central.writeUInt16LE(fileName.length, 28)
+        central.writeUInt32LE(offset, 42)
+        centrals.push(central, fileName)
+
+        offset += local.length + fileName.length + content.length
+    }
+    const centralDirectory = Buffer.concat(centrals)
+    const end = Buffer.alloc(22)
+    end.writeUInt32LE(0x06054B50, 0)
+    end.writeUInt16LE(files.length, 8)
+    end.writeUInt16LE(files.length, 10)
+    end.writeUInt32LE(centralDirectory.length, 12)
+    end.writeUInt32LE(offset, 16)
+    return Buffer.concat([...locals, centralDirectory, end])
+}
+
+export default zip
+export {
+    zip,
+    crc32
+}